@@ -32,35 +32,158 @@ const API_URL = 'php/api/';
 // Convención: Constantes globales en SCREAMING_SNAKE_CASE
 // ============================================================================
 
+const api = new ApiClient({ baseUrl: API_URL, timeout: 15000 });
+// ============================================================================
+// CONSTANTE api - Cliente HTTP compartido (js/services/ApiClient.js)
+// ============================================================================
+// - Todas las peticiones pasan por aquí (no se usa fetch() directamente)
+// - Timeout de 15 segundos por petición
+// - Los fallos llegan siempre como ApiError (ver apiErrorMessage())
+// ============================================================================
+
+const usersCache = new ResponseCache({ maxAge: 5 * 60 * 1000 });
+// ============================================================================
+// CONSTANTE usersCache - Caché de get_users.php por filtros
+// ============================================================================
+// - Clave: query string de loadUsers() (ej: "activo=1&orden=id&direccion=DESC")
+// - Se muestra lo guardado al instante y se revalida en segundo plano
+// - Se vacía tras cada crear/actualizar/eliminar
+// ============================================================================
+
+const livePoller = new LivePoller({ intervalo: 10000, consultar: pollUsers });
+// ============================================================================
+// CONSTANTE livePoller - Actualización en vivo (cada 10 segundos)
+// ============================================================================
+// - Trae la lista con los filtros actuales y aplica lo que cambiaron otros
+// - Ver pollUsers() en la sección de actualización en vivo
+// ============================================================================
+
+const tabSync = new TabSync('sistema-usuarios');
+// ============================================================================
+// CONSTANTE tabSync - Canal entre pestañas (BroadcastChannel)
+// ============================================================================
+// - Cada operación exitosa se publica a las otras pestañas abiertas
+// - Al recibir, se aplica con applyRemoteMutation()
+// ============================================================================
+
+const offlineQueue = new OfflineQueue();
+// ============================================================================
+// CONSTANTE offlineQueue - Cola de operaciones sin conexión (IndexedDB)
+// ============================================================================
+// - Si crear/actualizar/eliminar falla por red, la operación se guarda aquí
+// - Se reenvía en orden al volver la conexión (ver replayOfflineQueue())
+// ============================================================================
+
+const historial = new UndoManager({ limite: 50 });
+// ============================================================================
+// CONSTANTE historial - Deshacer / Rehacer (patrón Command)
+// ============================================================================
+// - Cada crear/actualizar/eliminar confirmado por el servidor se registra
+// - Botón "↩️ Deshacer" en la notificación, Ctrl+Z y Ctrl+Shift+Z
+// - Ver la sección de deshacer / rehacer
+// ============================================================================
+
+const MAXIMO_SELECCION = 1000;
+// ============================================================================
+// CONSTANTE MAXIMO_SELECCION - Usuarios por acción masiva
+// ============================================================================
+// - Mismo tope que MAXIMO_USUARIOS_MASIVOS en bulk_users.php
+// - "Seleccionar todos los que cumplen los filtros" no pasa de aquí
+// ============================================================================
+
+const PANTALLA_CHICA = '(max-width: 768px)';
+const DESLIZAR_UMBRAL = 80;
+// ============================================================================
+// CONSTANTES PANTALLA_CHICA / DESLIZAR_UMBRAL - Vista de tarjetas
+// ============================================================================
+// - PANTALLA_CHICA: media query del breakpoint (el mismo de la sección
+//   RESPONSIVE de styles.css); en vista "Automática" por debajo de este
+//   ancho se muestran tarjetas
+// - DESLIZAR_UMBRAL: px que hay que deslizar una tarjeta con el dedo
+//   para que cuente como acción (→ editar, ← eliminar)
+// ============================================================================
+
 // ============================================================================
 // SECCIÓN 2: ESTADO DE LA APLICACIÓN  
 // ============================================================================
 
-let usuarios = [];
+const store = new Store(usersReducer, estadoInicialUsuarios);
 // ============================================================================
-// VARIABLE usuarios - Lista de usuarios cargados
+// CONSTANTE store - Estado observable de la pantalla (js/store/)
 // ============================================================================
-// Tipo: Array de objetos
-// Contenido: [{id: 1, nombre: 'Juan', email: 'juan@email.com'}, ...]
+// Reemplaza a las antiguas variables globales mutables:
+// - usuarios          → store.getState().usuarios
+// - usuarioEnEdicion  → selectUsuarioEnEdicion(store.getState())
+// - estadísticas, filtros, filas pendientes/resaltadas, spinner
 //
-// ¿Por qué global?
-// - Múltiples funciones necesitan acceso
-// - loadUsers() la llena
-// - renderUsersTable() la lee
-// - editUser() la busca
+// ¿Cómo se cambia el estado?
+// - Solo con store.dispatch({ type: '...', ... }) (ver usersReducer)
+//
+// ¿Cómo se actualiza el DOM?
+// - Tabla, estadísticas, formulario, filtros y spinner se SUSCRIBEN a su
+//   porción del estado en DOMContentLoaded (Observer) y se dibujan solos
 // ============================================================================
 
-let usuarioEnEdicion = null;
+let listRequestController = null;
+let listRequestSeq = 0;
 // ============================================================================
-// VARIABLE usuarioEnEdicion - ID del usuario en edición
+// VARIABLES listRequestController / listRequestSeq - Control del listado
 // ============================================================================
-// Valores posibles:
-// - null: Modo CREAR (formulario vacío)
-// - 5: Modo EDITAR (editando usuario con ID 5)
+// Problema:
+// - Al escribir "maria" se disparan 5 peticiones superpuestas
+// - La que termina última "gana", aunque sea la de "ma"
 //
-// Flujo:
-// CREAR: usuarioEnEdicion = null → botón "Crear Usuario"
-// EDITAR: usuarioEnEdicion = 5 → botón "Actualizar Usuario"
+// Solución:
+// - listRequestController: AbortController de la petición en curso;
+//   una nueva llamada a loadUsers() cancela la anterior
+// - listRequestSeq: Número de secuencia; solo la respuesta con el número
+//   más reciente puede escribir en usuarios y en la tabla
+// ============================================================================
+
+let mutacionesEnCurso = 0;
+// ============================================================================
+// VARIABLE mutacionesEnCurso - Altas, ediciones y bajas sin respuesta
+// ============================================================================
+// Mientras sea > 0 la tabla muestra cambios optimistas que el servidor
+// todavía no confirmó: pollUsers() no consulta (su lista los revertiría
+// y los resaltaría como "cambiados por otro"). Ver trackMutation()
+// ============================================================================
+
+let edicionPendiente = null;
+let aplicandoUrl = false;
+// ============================================================================
+// VARIABLES edicionPendiente / aplicandoUrl - Estado en la URL
+// ============================================================================
+// - edicionPendiente: id de ?editar=5 que aún no se puede abrir porque la
+//   lista todavía no llegó del servidor
+// - aplicandoUrl: true mientras se aplica la URL (atrás/adelante), para no
+//   volver a escribirla en el historial
+// ============================================================================
+
+let tablaUsuarios = null;
+// ============================================================================
+// VARIABLE tablaUsuarios - Tabla con scroll virtual (VirtualTable)
+// ============================================================================
+// - Se crea en DOMContentLoaded (necesita el <tbody> y su contenedor)
+// - Solo dibuja las filas visibles: ver renderUsersTable() y scrollToUser()
+// ============================================================================
+
+let gestoTarjeta = null;
+// ============================================================================
+// VARIABLE gestoTarjeta - Deslizamiento en curso sobre una tarjeta
+// ============================================================================
+// null o { tarjeta, id, x, y, dx, horizontal } mientras el dedo está
+// apoyado (ver handleSwipeStart / Move / End)
+// ============================================================================
+
+let ajustandoPagina = false;
+// ============================================================================
+// VARIABLE ajustandoPagina - Página corregida por el servidor
+// ============================================================================
+// Si se pide ?pagina=9 y solo hay 4, get_users.php devuelve la página 4.
+// Mientras se copia esa corrección al store:
+// - No se vuelve a pedir la lista (ya llegó la página 4)
+// - La URL se reemplaza en lugar de crear otra entrada en el historial
 // ============================================================================
 
 // ============================================================================
@@ -100,6 +223,199 @@ document.addEventListener('DOMContentLoaded', function() {
     // Nota: handleSubmit sin paréntesis (pasa referencia, no ejecuta)
     // ========================================================================
 
+    tablaUsuarios = new VirtualTable({
+        contenedor: document.getElementById('table-scroll'),
+        tbody: document.getElementById('users-tbody'),
+        renderFila: renderUserRow,
+        clave: fila => fila._clave || fila.id,
+        alturaVariable: fila => Boolean(fila._detalle || fila._grupo)
+    });
+    // ========================================================================
+    // Tabla virtual: el contenedor #table-scroll tiene alto fijo y scroll
+    // propio; el encabezado queda fijo arriba (position: sticky)
+    // - clave: cada <tr> se identifica por user.id (las altas pendientes
+    //   sin id usan _clave): solo se tocan las filas que cambiaron
+    // - alturaVariable: el panel de notificaciones de un usuario expandido
+    //   y los encabezados de grupo no miden lo que una fila común
+    //   (VirtualTable los mide aparte)
+    // - Las tarjetas son filas comunes: miden todas lo mismo y, al cambiar
+    //   de vista, VirtualTable corrige solo el alto de fila (measure())
+    // - La cantidad de columnas la fija renderColumns()
+    // ========================================================================
+
+    store.dispatch({ type: 'columnas/cambiadas', columnas: loadColumnPreference() });
+    // ========================================================================
+    // Columnas visibles y su orden, como las dejó el usuario la última vez
+    // ========================================================================
+
+    store.dispatch({ type: 'vista/preferida', vista: loadViewPreference() });
+
+    const pantallaChica = window.matchMedia(PANTALLA_CHICA);
+    store.dispatch({ type: 'vista/pantalla', chica: pantallaChica.matches });
+    pantallaChica.addEventListener('change', e => store.dispatch({ type: 'vista/pantalla', chica: e.matches }));
+    // ========================================================================
+    // Vista tabla / tarjetas
+    // - La elegida la última vez en este navegador (por defecto Automática)
+    // - matchMedia avisa (evento change) cuando la ventana cruza el
+    //   breakpoint: al girar el teléfono o achicar la ventana
+    // ========================================================================
+
+    const desdeUrl = parseUrlState(window.location.search);
+    store.dispatch({ type: 'filtros/cambiados', filtros: desdeUrl.filtros });
+    store.dispatch({ type: 'orden/cambiado', orden: desdeUrl.orden || loadSortPreference() });
+    store.dispatch({ type: 'paginacion/limite', limite: desdeUrl.limite });
+    store.dispatch({ type: 'paginacion/pagina', pagina: desdeUrl.pagina });
+    edicionPendiente = desdeUrl.editar;
+    // ========================================================================
+    // Restaurar filtros, orden, página y edición desde la URL (ej: un enlace compartido)
+    // - Antes de suscribirse: la primera carga ya usa estos filtros
+    // - Sin ?orden= en la URL se usa el orden preferido de este navegador
+    // - La edición espera a que llegue la lista (ver loadUsers())
+    // ========================================================================
+
+    if (!desdeUrl.orden && !sameSort(selectOrden(store.getState()), ORDEN_POR_DEFECTO)) {
+        const params = new URLSearchParams(window.location.search);
+        params.set('orden', formatSort(selectOrden(store.getState())));
+        history.replaceState(null, '', toSearch(params) + window.location.hash);
+    }
+    // ========================================================================
+    // Escribir el orden preferido en la URL: así Atrás / Adelante y los
+    // enlaces copiados muestran exactamente lo mismo que se ve
+    // ========================================================================
+
+    store.select(selectColumnas, renderColumns, { inmediato: true });
+    store.select(selectColumnas, saveColumnPreference);
+    store.select(state => [selectVistaActual(state), state.vista.preferida], renderViewMode, { inmediato: true });
+    store.select(state => state.vista.preferida, saveViewPreference);
+    store.select(
+        state => [state.usuarios, state.mutacionesPendientes, state.filasResaltadas, state.seleccion, state.edicionEnLinea, state.columnas, state.filasExpandidas, state.notificaciones, state.filtros.busqueda,
+            state.filtros.agrupar, state.grupos, state.gruposColapsados, selectVistaActual(state)],
+        renderUsersTable
+    );
+    store.select(state => state.estadisticas, renderStats, { inmediato: true });
+    store.select(state => state.formulario, renderForm);
+    store.select(state => state.filtros, renderFilters, { inmediato: true });
+    store.select(state => state.orden, renderSortHeaders, { inmediato: true });
+    store.select(state => state.orden, saveSortPreference);
+    store.select(selectPaginacion, renderPagination, { inmediato: true });
+    store.select(
+        state => [state.seleccion, state.usuarios, state.mutacionesPendientes, state.paginacion.total],
+        renderSelection,
+        { inmediato: true }
+    );
+    store.select(
+        state => [state.filtros, state.orden, state.paginacion.pagina, state.paginacion.limite],
+        onListQueryChanged
+    );
+    store.select(state => state.carga, renderLoading, { inmediato: true });
+    store.select(
+        state => [state.filtros, state.orden, state.paginacion.pagina, state.paginacion.limite, selectUsuarioEnEdicion(state)],
+        syncUrl
+    );
+    // ========================================================================
+    // Suscripciones al store (Observer)
+    // - Cada parte de la interfaz se dibuja sola cuando cambia SU porción
+    //   del estado; las operaciones solo despachan acciones
+    // - Encabezados y menú de columnas: renderColumns() (antes que la
+    //   tabla, que usa la misma lista de columnas)
+    // - La tabla depende de 13 porciones (usuarios, pendientes, resaltadas,
+    //   seleccionados, celda en edición, columnas, filas expandidas, su
+    //   historial de notificaciones, el texto buscado que se resalta, la
+    //   agrupación, los totales por grupo, los grupos colapsados y la
+    //   vista tabla / tarjetas)
+    // - inmediato: dibujar también el estado inicial
+    // - Filtros, orden, página o filas por página: cada cambio vuelve a
+    //   pedir la lista (onListQueryChanged)
+    // - Todo eso y el usuario en edición se copia a la URL (syncUrl)
+    // ========================================================================
+
+    const thead = document.querySelector('#users-table thead');
+    thead.addEventListener('click', handleSortClick);
+    thead.addEventListener('keydown', handleSortClick);
+    thead.addEventListener('dragstart', handleColumnDragStart);
+    thead.addEventListener('dragover', handleColumnDragOver);
+    thead.addEventListener('dragleave', clearColumnDropTarget);
+    thead.addEventListener('drop', handleColumnDrop);
+    thead.addEventListener('dragend', handleColumnDragEnd);
+    // ========================================================================
+    // Encabezados ordenables (delegación de eventos)
+    // - Un solo listener en <thead> en lugar de uno por <th>
+    // - keydown: Enter / Espacio sobre un encabezado con foco (tabindex)
+    // - drag*: arrastrar un encabezado sobre otro reordena las columnas
+    // ========================================================================
+
+    const listaColumnas = document.getElementById('columns-list');
+    listaColumnas.addEventListener('change', handleColumnToggle);
+    listaColumnas.addEventListener('click', handleColumnMove);
+    // ========================================================================
+    // Menú "⚙️ Columnas": casillas mostrar / ocultar y botones ◀ ▶
+    // ========================================================================
+
+    const tbody = document.getElementById('users-tbody');
+    tbody.addEventListener('change', handleRowSelect);
+    tbody.addEventListener('dblclick', startInlineEdit);
+    tbody.addEventListener('keydown', handleInlineKeydown);
+    tbody.addEventListener('change', commitInlineEdit);
+    tbody.addEventListener('focusout', commitInlineEdit);
+    tbody.addEventListener('click', handleDetailClick);
+    tbody.addEventListener('click', handleGroupClick);
+    tbody.addEventListener('pointerdown', handleSwipeStart);
+    tbody.addEventListener('pointermove', handleSwipeMove);
+    tbody.addEventListener('pointerup', handleSwipeEnd);
+    tbody.addEventListener('pointercancel', handleSwipeEnd);
+    document.getElementById('select-page').addEventListener('change', handlePageSelect);
+    // ========================================================================
+    // Casillas de selección
+    // - Las de cada fila: delegación en <tbody> (VirtualTable crea y quita
+    //   los <tr> al hacer scroll)
+    // - #select-page: todas las filas de la página actual
+    //
+    // Edición en línea (doble clic en nombre, email o tipo)
+    // - focusout en lugar de blur: blur no sube hasta el <tbody>
+    // - change: el <select> de tipo se guarda en cuanto se elige
+    //
+    // Panel de notificaciones: botón ▸ de cada fila, canales, "Ver más"
+    // Encabezados de grupo: clic para colapsar / desplegar el grupo
+    //
+    // Tarjetas: deslizar con el dedo (pointer events) → editar / eliminar
+    // ========================================================================
+
+    document.getElementById('pagination-pages').addEventListener('click', handlePaginationClick);
+    // ========================================================================
+    // Botones de página (delegación: se vuelven a crear en cada render)
+    // ========================================================================
+
+    window.addEventListener('popstate', applyUrlState);
+    // ========================================================================
+    // Botones Atrás / Adelante del navegador → aplicar la URL visitada
+    // ========================================================================
+
+    offlineQueue.subscribe(refreshPendingMutations);
+    window.addEventListener('online', replayOfflineQueue);
+    refreshPendingMutations().then(() => {
+        if (navigator.onLine) replayOfflineQueue();
+    });
+    // ========================================================================
+    // Cola offline
+    // - Cada cambio en la cola vuelve a dibujar las filas pendientes
+    // - Evento 'online': el navegador recuperó la conexión → reenviar
+    // - Al iniciar: puede haber operaciones de una sesión anterior
+    // - Cada consulta en vivo que responde bien también reenvía
+    //   (ver pollUsers(): el backend pudo volver sin que cambie 'online')
+    // ========================================================================
+
+    document.addEventListener('keydown', handleHistoryShortcut);
+    // ========================================================================
+    // Atajos de teclado: Ctrl+Z (deshacer), Ctrl+Shift+Z / Ctrl+Y (rehacer)
+    // ========================================================================
+
+    livePoller.start();
+    tabSync.subscribe(applyRemoteMutation);
+    // ========================================================================
+    // Empezar a consultar cambios de otras personas y escuchar los
+    // cambios hechos en otras pestañas de este navegador
+    // ========================================================================
+
     loadUsers();
     // ========================================================================
     // Cargar usuarios iniciales
@@ -127,6 +443,19 @@ async function loadUsers() {
     // - await espera sin bloquear la página
     // ========================================================================
 
+    if (listRequestController) {
+        listRequestController.abort();
+    }
+    listRequestController = new AbortController();
+    const seq = ++listRequestSeq;
+    const { signal } = listRequestController;
+    // ========================================================================
+    // Cancelar la petición anterior y numerar esta
+    // - abort() hace que la petición vieja termine con ApiError 'aborted'
+    // - seq identifica a ESTA llamada; si al volver ya no es la última,
+    //   su resultado se descarta
+    // ========================================================================
+
     showLoading(true);
     // ========================================================================
     // Mostrar spinner de carga
@@ -142,126 +471,87 @@ async function loadUsers() {
         // finally: Se ejecuta siempre
         // ====================================================================
 
-        const params = new URLSearchParams();
-        // ====================================================================
-        // URLSearchParams - Construir query string
-        // ====================================================================
-        // Propósito: Crear parámetros de URL (?clave=valor&otra=valor2)
-        //
-        // Métodos:
-        // params.append('clave', 'valor') → Agregar parámetro  
-        // params.toString() → Convertir a string
-        //
-        // Ejemplo:
-        // params.append('busqueda', 'Juan');
-        // params.append('tipo', 'admin');
-        // params.toString() → "busqueda=Juan&tipo=admin"
-        //
-        // Ventaja: Encoding automático de caracteres especiales
-        // ====================================================================
-
-        const busqueda = document.getElementById('filter-search').value;
-        if (busqueda) params.append('busqueda', busqueda);
-        // ====================================================================
-        // Obtener valor del input y agregarlo si existe
-        //
-        // .value → Propiedad del input con el texto
-        // if (busqueda) → Solo agrega si tiene valor (truthy)
-        //
-        // Valores truthy: "Juan", "0", 1, []
-        // Valores falsy: "", 0, null, undefined, false
-        // ====================================================================
-
-        const tipo = document.getElementById('filter-tipo').value;
-        if (tipo) params.append('tipo_usuario', tipo);
-
-        const activo = document.getElementById('filter-activo').value;
-        if (activo) params.append('activo', activo);
-
-        params.append('orden', 'id');
-        params.append('direccion', 'DESC');
-        // ====================================================================
-        // Parámetros de ordenamiento
-        // orden=id&direccion=DESC → Ordena por ID descendente
-        // DESC: 5, 4, 3, 2, 1 (más recientes primero)
-        // ASC: 1, 2, 3, 4, 5 (más antiguos primero)
-        // ====================================================================
-
-        const url = `${API_URL}get_users.php?${params.toString()}`;
+        const params = buildListParams();
+
+        const clave = params.toString();
+        const generacion = usersCache.generacion;
+        const enCache = usersCache.get(clave);
+        if (enCache) {
+            store.dispatch({ type: 'usuarios/cargados', usuarios: enCache.data });
+            updateStats(enCache.stats);
+            receivePagination(enCache);
+            receiveGroups(enCache);
+            showLoading(false);
+        }
         // ====================================================================
-        // Template literal - Construir URL completa
+        // STALE-WHILE-REVALIDATE
         // ====================================================================
-        // Sintaxis: `string ${variable}`
-        // - Backticks (`) permiten interpolación
-        // - ${variable} inserta valor de la variable
-        //
-        // Resultado ejemplo:
-        // "php/api/get_users.php?busqueda=Juan&orden=id&direccion=DESC"
+        // - Si ya se pidió esta misma combinación de filtros, se dibuja YA
+        //   (sin spinner)
+        // - La petición de abajo sigue ejecutándose y reemplaza los datos
+        //   cuando llega (revalidación en segundo plano)
         // ====================================================================
 
-        const response = await fetch(url);
+        const data = await api.get('get_users.php', params, {
+            signal,
+            onRetry: (intento, total) => {
+                if (seq === listRequestSeq) showRetrying(intento, total);
+            }
+        });
         // ====================================================================
-        // fetch() - Hacer petición HTTP
+        // api.get() - Petición GET a través de ApiClient
         // ====================================================================
         // ¿Qué hace?
-        // - Envía petición GET al servidor
-        // - await espera la respuesta
-        // - Devuelve objeto Response
+        // - Construye la URL: php/api/get_users.php?busqueda=Juan&orden=id...
+        // - Ejecuta fetch() con timeout
+        // - Parsea el JSON
+        // - Si success es false, LANZA un ApiError (salta a catch)
         //
-        // Métodos HTTP:
-        // fetch(url) → GET (por defecto)
-        // fetch(url, {method: 'POST'}) → POST
-        // fetch(url, {method: 'PUT'}) → PUT
-        // fetch(url, {method: 'DELETE'}) → DELETE
+        // Por eso aquí solo llega data cuando todo salió bien:
+        // data.success → true
+        // data.data → [{id: 1}]
         //
-        // Response contiene:
-        // - response.ok → boolean (true si status 200-299)
-        // - response.status → número (200, 404, 500)
-        // - response.json() → Promise que parsea JSON
+        // GET es idempotente: ApiClient lo reintenta solo (backoff + jitter)
+        // si falla la red o el servidor responde 5xx. onRetry muestra
+        // "Reintentando (1/3)…" en lugar de un error inmediato.
         // ====================================================================
 
-        const data = await response.json();
+        if (seq !== listRequestSeq) return;
         // ====================================================================
-        // Parsear respuesta JSON
-        // ====================================================================
-        // response.json():
-        // - Lee el body (string JSON)
-        // - Lo convierte a objeto JavaScript  
-        // - Devuelve Promise (por eso await)
-        //
-        // Transformación:
-        // String: '{"success": true, "data": [{"id": 1}]}'
-        // Objeto: {success: true, data: [{id: 1}]}
-        //
-        // Ahora podemos acceder:
-        // data.success → true
-        // data.data → [{id: 1}]
+        // Guardia de secuencia
+        // - Si mientras esperábamos se lanzó otra búsqueda, esta respuesta
+        //   ya es vieja: ni se renderiza ni se guarda en caché
         // ====================================================================
 
-        if (!data.success) {
-            throw new Error(data.error || 'Error al cargar usuarios');
-        }
+        usersCache.set(clave, data, generacion);
         // ====================================================================
-        // Verificar éxito de la operación
-        //
-        // !data.success → if (data.success === false)
-        // throw → Lanza error, salta a catch
-        // data.error || 'Error...' → Usa error del servidor o mensaje por defecto
+        // generacion: si un alta, edición o baja invalidó la caché mientras
+        // esta petición viajaba, la lista es de antes del cambio y no se
+        // guarda (la próxima vez se pide de nuevo)
         // ====================================================================
 
-        usuarios = data.data;
+        store.dispatch({ type: 'usuarios/cargados', usuarios: data.data });
         updateStats(data.stats);
-        renderUsersTable();
+        receivePagination(data);
+        receiveGroups(data);
+        restorePendingEdit();
         // ====================================================================
-        // Actualizar estado y UI
-        // 1. usuarios = data.data → Guardar en variable global
-        // 2. updateStats() → Actualizar tarjetas de estadísticas
-        // 3. renderUsersTable() → Generar HTML de la tabla
+        // Actualizar estado
+        // 1. usuarios/cargados → La tabla se vuelve a dibujar sola
+        // 2. updateStats() → Las tarjetas de estadísticas también
+        // 3. receivePagination() → Total de usuarios y botones de página
+        // 4. receiveGroups() → Usuarios por grupo (si se agrupa la tabla)
+        // 5. restorePendingEdit() → Abrir la edición pedida en la URL
         // ====================================================================
 
     } catch (error) {
+        if (seq !== listRequestSeq || error.type === 'aborted') return;
+        // ====================================================================
+        // Una petición cancelada o superada no es un error para el usuario
+        // ====================================================================
+
         console.error('Error:', error);
-        showError('Error al cargar usuarios: ' + error.message);
+        showError(apiErrorMessage(error, 'Error al cargar usuarios'));
         // ====================================================================
         // Manejar errores
         // - console.error() → Registrar en consola (color rojo)
@@ -269,15 +559,96 @@ async function loadUsers() {
         // ====================================================================
 
     } finally {
-        showLoading(false);
+        if (seq === listRequestSeq) {
+            listRequestController = null;
+            showLoading(false);
+        }
         // ====================================================================
         // finally se ejecuta SIEMPRE
         // - Con éxito o con error
-        // - Oculta el loading en ambos casos
+        // - Oculta el loading en ambos casos (si esta petición no fue
+        //   superada por otra: entonces el loading es de la nueva)
+        // - Sin return dentro de finally: descartaría en silencio una
+        //   excepción lanzada en try / catch
         // ====================================================================
     }
 }
 
+function buildListParams() {
+    // ========================================================================
+    // FUNCIÓN: buildListParams()
+    // PROPÓSITO: Leer los filtros del store y armar el query string
+    // ========================================================================
+    // La usan loadUsers() y la actualización en vivo (pollUsers()), así
+    // ambas piden exactamente la misma lista.
+    // ========================================================================
+
+    const params = new URLSearchParams();
+    // ========================================================================
+    // URLSearchParams - Construir query string
+    // ========================================================================
+    // Propósito: Crear parámetros de URL (?clave=valor&otra=valor2)
+    //
+    // Métodos:
+    // params.append('clave', 'valor') → Agregar parámetro  
+    // params.toString() → Convertir a string
+    //
+    // Ejemplo:
+    // params.append('busqueda', 'Juan');
+    // params.append('tipo', 'admin');
+    // params.toString() → "busqueda=Juan&tipo=admin"
+    //
+    // Ventaja: Encoding automático de caracteres especiales
+    // ========================================================================
+
+    const { busqueda, tipo, activo, agrupar } = store.getState().filtros;
+    if (busqueda) params.append('busqueda', busqueda);
+    // ========================================================================
+    // Agregar cada filtro solo si tiene valor
+    //
+    // state.filtros → Se actualiza desde los inputs con setFilter()
+    // if (busqueda) → Solo agrega si tiene valor (truthy)
+    //
+    // Valores truthy: "Juan", "0", 1, []
+    // Valores falsy: "", 0, null, undefined, false
+    // ========================================================================
+
+    if (tipo) params.append('tipo_usuario', tipo);
+    if (activo) params.append('activo', activo);
+
+    const orden = selectOrden(store.getState());
+    params.append('orden', orden.map(o => o.campo).join(','));
+    params.append('direccion', orden.map(o => o.direccion).join(','));
+    // ========================================================================
+    // Parámetros de ordenamiento (clic en los encabezados de la tabla)
+    // orden=id&direccion=DESC → Ordena por ID descendente (por defecto)
+    // DESC: 5, 4, 3, 2, 1 (más recientes primero)
+    // ASC: 1, 2, 3, 4, 5 (más antiguos primero)
+    //
+    // Varias columnas (Shift+clic), una dirección por columna:
+    // orden=tipo_usuario,nombre&direccion=DESC,ASC
+    // ========================================================================
+
+    if (agrupar) params.append('agrupar', agrupar);
+    // ========================================================================
+    // agrupar=dominio → get_users.php ordena primero por el grupo (cada
+    // grupo queda junto en la página) y devuelve el total de cada uno
+    // ========================================================================
+
+    const { pagina, limite } = selectPaginacion(store.getState());
+    if (limite > 0) {
+        params.append('pagina', pagina);
+        params.append('limite', limite);
+    }
+    // ========================================================================
+    // Paginación en el servidor: solo viaja la página visible
+    // pagina=2&limite=25 → get_users.php hace LIMIT 25 OFFSET 25
+    // "Todos" (limite = 0) → sin parámetros: lista completa
+    // ========================================================================
+
+    return params;
+}
+
 async function handleSubmit(e) {
     // ========================================================================
     // FUNCIÓN: handleSubmit()
@@ -330,6 +701,12 @@ async function handleSubmit(e) {
 
     if (isEdit) {
         formData.id = parseInt(userId);
+        const version = document.getElementById('user-version').value;
+        if (version) formData.fecha_actualizacion = version;
+        // ====================================================================
+        // Enviar la fecha_actualizacion con la que se abrió la edición
+        // - El servidor rechaza (409) si el usuario cambió desde entonces
+        // ====================================================================
         await updateUser(formData);
     } else {
         await createUser(formData);
@@ -344,61 +721,88 @@ async function createUser(userData) {
 
     const button = document.getElementById('btn-submit');
     button.disabled = true;
-    button.innerHTML = '⏳ Creando...';
+    button.textContent = '⏳ Creando...';
     // ========================================================================
     // Deshabilitar botón mientras procesa
     // - Evita clics múltiples
     // - Cambia texto para feedback
     // ========================================================================
 
+    const ahora = new Date().toISOString();
+    const temporal = {
+        ...userData,
+        id: -Date.now(),
+        activo: true,
+        fecha_creacion: ahora,
+        fecha_actualizacion: ahora,
+        _optimista: true
+    };
+    mergeUser(temporal.id, temporal);
+    adjustStats(null, temporal);
+    store.dispatch({ type: 'formulario/limpiar' });
+    // ========================================================================
+    // ACTUALIZACIÓN OPTIMISTA
+    // ========================================================================
+    // - La fila aparece YA, sin esperar al servidor
+    // - mergeUser(): solo si la lista la mostraría (cumple los filtros y le
+    //   toca esta página), en su lugar según el orden actual
+    // - id negativo temporal: nunca choca con un id real de MySQL
+    // - _optimista: la fila se dibuja atenuada y sin botones de acción
+    // ========================================================================
+
     try {
-        const response = await fetch(`${API_URL}create_user.php`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(userData)
-        });
+        const data = await trackMutation(api.post('create_user.php', userData));
         // ====================================================================
-        // fetch() con método POST
+        // api.post() - Método POST con cuerpo JSON
         // ====================================================================
-        // Configuración:
-        // - method: 'POST' → Enviar datos al servidor
-        // - headers → Content-Type indica que enviamos JSON
-        // - body → JSON.stringify() convierte objeto a string JSON
-        //
-        // JSON.stringify():
-        // Objeto: {nombre: "Juan", email: "juan@email.com"}
-        // String: '{"nombre":"Juan","email":"juan@email.com"}'
+        // - ApiClient agrega Content-Type: application/json
+        // - ApiClient aplica JSON.stringify(userData)
+        // - Si el servidor responde errors[] → ApiError tipo 'validation'
+        // - Si responde error → ApiError tipo 'server' (4xx) o 'http' (5xx)
         // ====================================================================
 
-        const data = await response.json();
+        const creado = { ...temporal, ...data.data, _optimista: false };
+        mergeUser(temporal.id, creado);
+        usersCache.invalidate();
+        tabSync.publish({ accion: 'create', antes: null, despues: creado });
+        const comando = recordUserChange(`crear "${creado.nombre}"`, null, creado);
+        showNotification('success', '✅ Usuario creado exitosamente', undoAction(comando));
+        // ====================================================================
+        // Reconciliar con el servidor
+        // - data.data trae el id real asignado por MySQL
+        // - Se reemplaza la fila temporal (sin recargar toda la lista), si
+        //   se estaba mostrando
+        // ====================================================================
 
-        if (!data.success) {
-            if (data.errors) {
-                showError(data.errors.join(', '));
-            } else {
-                showError(data.error || 'Error al crear usuario');
-            }
+    } catch (error) {
+        removeUser(temporal.id);
+        adjustStats(temporal, null);
+        // ====================================================================
+        // ROLLBACK: Quitar la fila temporal y restaurar estadísticas
+        // ====================================================================
+
+        if (error.type === 'network') {
+            await queueOfflineMutation({
+                accion: 'create',
+                method: 'POST',
+                endpoint: 'create_user.php',
+                body: userData,
+                usuario: userData
+            });
             return;
         }
-
-        showNotification('success', '✅ Usuario creado exitosamente');
-        document.getElementById('user-form').reset();
-        await loadUsers();
         // ====================================================================
-        // Si tiene éxito:
-        // 1. Mostrar notificación verde
-        // 2. Limpiar formulario con reset()
-        // 3. Recargar lista de usuarios
+        // Sin conexión: guardar en la cola en lugar de perder los datos
         // ====================================================================
 
-    } catch (error) {
-        console.error('Error:', error);
-        showError('Error al crear usuario: ' + error.message);
+        fillForm(userData);
+        notifyRollback(error, 'Error al crear usuario', () => createUser(userData));
+        // ====================================================================
+        // Devolver los datos al formulario para que el usuario los corrija
+        // ====================================================================
     } finally {
         button.disabled = false;
-        button.innerHTML = '➕ Crear Usuario';
+        button.textContent = '➕ Crear Usuario';
         // ====================================================================
         // Restaurar botón
         // - Habilitar de nuevo
@@ -407,52 +811,120 @@ async function createUser(userData) {
     }
 }
 
-async function updateUser(userData) {
+async function updateUser(userData, { campoEnLinea = null, originalEnLinea = null } = {}) {
     // ========================================================================
     // FUNCIÓN: updateUser()
     // OPERACIÓN: UPDATE (Actualizar usuario)
     // Similar a createUser() pero usa método PUT
     // ========================================================================
+    // campoEnLinea: el cambio viene de una celda de la tabla (ver
+    // commitInlineEdit()), no del formulario: el formulario no se toca.
+    // originalEnLinea: el valor de esa celda al empezar a editarla
+    // ========================================================================
 
     const button = document.getElementById('btn-submit');
-    button.disabled = true;
-    button.innerHTML = '⏳ Actualizando...';
+    if (!campoEnLinea) {
+        button.disabled = true;
+        button.textContent = '⏳ Actualizando...';
+    }
+
+    const anterior = selectUsuarioPorId(store.getState(), userData.id);
+    const optimista = anterior ? { ...anterior, ...userData } : null;
+    if (optimista) {
+        replaceUser(anterior.id, optimista);
+        adjustStats(anterior, optimista);
+    }
+    if (!campoEnLinea) cancelEdit();
+    // ========================================================================
+    // ACTUALIZACIÓN OPTIMISTA
+    // - anterior: copia para poder revertir
+    // - La fila muestra los nuevos valores inmediatamente
+    // ========================================================================
 
     try {
-        const response = await fetch(`${API_URL}update_user.php`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(userData)
-        });
+        const data = await trackMutation(api.put('update_user.php', userData));
         // ====================================================================
         // Método PUT para actualizar
         // - PUT: Actualizar recurso completo
         // - PATCH: Actualizar parcialmente (no usado aquí)
         // ====================================================================
 
-        const data = await response.json();
+        const actualizado = { ...(optimista || {}), ...data.data };
+        if (optimista) {
+            replaceUser(userData.id, actualizado);
+        }
+        usersCache.invalidate();
+        tabSync.publish({ accion: 'update', antes: anterior || null, despues: actualizado });
+        const comando = anterior
+            ? recordUserChange(`editar "${actualizado.nombre}"`, anterior, actualizado)
+            : null;
+        showNotification('success', '✅ Usuario actualizado exitosamente', undoAction(comando));
+        // ====================================================================
+        // Reconciliar: data.data trae el registro tal como quedó en la BD
+        // (ej: fecha_actualizacion nueva)
+        // ====================================================================
 
-        if (!data.success) {
-            if (data.errors) {
-                showError(data.errors.join(', '));
-            } else {
-                showError(data.error || 'Error al actualizar usuario');
-            }
+    } catch (error) {
+        if (optimista) {
+            replaceUser(userData.id, anterior);
+            adjustStats(optimista, anterior);
+        }
+        // ====================================================================
+        // ROLLBACK: Volver a los valores anteriores
+        // ====================================================================
+
+        if (error.status === 409 && error.data && error.data.conflicto) {
+            await resolveConflict(userData, error.data.data, { campoEnLinea, originalEnLinea });
+            return;
+        }
+        // ====================================================================
+        // 409 Conflict: otra persona guardó antes → diálogo de conflicto
+        // ====================================================================
+
+        if (error.type === 'network') {
+            await queueOfflineMutation({
+                accion: 'update',
+                method: 'PUT',
+                endpoint: 'update_user.php',
+                body: userData,
+                usuario: userData
+            });
             return;
         }
 
-        showNotification('success', '✅ Usuario actualizado exitosamente');
-        cancelEdit();
-        await loadUsers();
+        if (campoEnLinea) {
+            const mensaje = apiErrorMessage(error, 'Error al actualizar usuario');
+            store.dispatch({
+                type: 'enLinea/iniciada',
+                id: userData.id,
+                campo: campoEnLinea,
+                original: originalEnLinea,
+                version: userData.fecha_actualizacion,
+                valor: userData[campoEnLinea],
+                error: mensaje
+            });
+            focusInlineEditor();
+            showNotification('error', '↩️ Cambio revertido: ' + mensaje);
+            return;
+        }
+        // ====================================================================
+        // Desde la tabla: se reabre la celda con lo escrito y el error
+        // debajo (ej: "El email ya está en uso")
+        // ====================================================================
 
-    } catch (error) {
-        console.error('Error:', error);
-        showError('Error al actualizar usuario: ' + error.message);
+        editUser(userData.id);
+        fillForm(userData);
+        notifyRollback(error, 'Error al actualizar usuario', () => updateUser(userData));
+        // ====================================================================
+        // Reabrir la edición con lo que el usuario había escrito
+        // ====================================================================
     } finally {
-        button.disabled = false;
-        button.innerHTML = '💾 Guardar Cambios';
+        if (!campoEnLinea) {
+            button.disabled = false;
+            button.textContent = selectUsuarioEnEdicion(store.getState()) !== null
+                ? '💾 Guardar Cambios'
+                : '➕ Crear Usuario';
+        }
     }
 }
 
@@ -472,123 +944,648 @@ async function deleteUser(id) {
     // - Si false, return detiene la ejecución
     // ========================================================================
 
+    const indice = selectUsuarios(store.getState()).findIndex(u => u.id === id);
+    const anterior = selectUsuarioPorId(store.getState(), id);
+    if (anterior) {
+        const desactivado = { ...anterior, activo: false };
+        if (store.getState().filtros.activo === '1') {
+            removeUser(id);
+        } else {
+            replaceUser(id, desactivado);
+        }
+        adjustStats(anterior, desactivado);
+    }
+    // ========================================================================
+    // ACTUALIZACIÓN OPTIMISTA (soft delete)
+    // - El backend solo marca activo = 0
+    // - Si se filtran solo activos → la fila desaparece
+    // - Si no → la fila queda con badge "Inactivo"
+    // ========================================================================
+
     try {
-        const response = await fetch(`${API_URL}delete_user.php?id=${id}`, {
-            method: 'DELETE'
-        });
+        const data = await trackMutation(api.delete('delete_user.php', { id }, {
+            onRetry: (intento, total) => {
+                showNotification('warning', `🔄 Reintentando eliminar (${intento}/${total})…`);
+            }
+        }));
         // ====================================================================
         // Método DELETE
         // - URL incluye ID como parámetro: ?id=5
         // - No lleva body (solo se envía el ID)
+        // - Idempotente (soft delete): ApiClient lo reintenta si falla la red
+        // ====================================================================
+
+        const eliminado = anterior ? { ...anterior, activo: false, ...data.data } : null;
+        if (eliminado) replaceUser(id, eliminado);
+        // ====================================================================
+        // data.data: el registro con su nueva fecha_actualizacion
+        // (necesaria para poder deshacer sin provocar un conflicto 409)
         // ====================================================================
 
-        const data = await response.json();
+        usersCache.invalidate();
+        tabSync.publish({ accion: 'delete', id, antes: anterior, despues: eliminado });
+        const comando = anterior
+            ? recordUserChange(`eliminar "${anterior.nombre}"`, anterior, eliminado)
+            : null;
+        showNotification('success', '✅ Usuario eliminado exitosamente', undoAction(comando));
 
-        if (!data.success) {
-            showError(data.error || 'Error al eliminar usuario');
-            return;
+    } catch (error) {
+        if (anterior) {
+            if (selectUsuarioPorId(store.getState(), id)) {
+                replaceUser(id, anterior);
+            } else {
+                store.dispatch({ type: 'usuarios/insertado', indice, usuario: anterior });
+            }
+            adjustStats({ ...anterior, activo: false }, anterior);
         }
+        // ====================================================================
+        // ROLLBACK: Reinsertar la fila en su posición original
+        // ====================================================================
 
-        showNotification('success', '✅ Usuario eliminado exitosamente');
-        await loadUsers();
+        if (error.type === 'network') {
+            await queueOfflineMutation({
+                accion: 'delete',
+                method: 'DELETE',
+                endpoint: 'delete_user.php',
+                params: { id },
+                usuario: { id, nombre: anterior ? anterior.nombre : `#${id}` }
+            });
+            return;
+        }
 
-    } catch (error) {
-        console.error('Error:', error);
-        showError('Error al eliminar usuario: ' + error.message);
+        notifyRollback(error, 'Error al eliminar usuario');
     }
 }
 
-function renderUsersTable() {
+async function resolveConflict(mio, servidor, opciones = {}) {
     // ========================================================================
-    // FUNCIÓN: renderUsersTable()
-    // PROPÓSITO: Generar HTML de la tabla de usuarios
-    // PATRÓN: Template Method
+    // FUNCIÓN: resolveConflict()
+    // PROPÓSITO: Mostrar ambas versiones y aplicar la decisión del usuario
     // ========================================================================
 
-    const tbody = document.getElementById('users-tbody');
-    const noResults = document.getElementById('no-results');
-
-    if (usuarios.length === 0) {
-        tbody.innerHTML = '';
-        noResults.classList.remove('hidden');
-        return;
+    const local = selectUsuarioPorId(store.getState(), servidor.id);
+    if (local) {
+        const actualizado = { ...local, ...servidor };
+        replaceUser(servidor.id, actualizado);
+        adjustStats(local, actualizado);
     }
+    usersCache.invalidate();
     // ========================================================================
-    // Si no hay usuarios, mostrar mensaje "No hay resultados"
+    // La tabla pasa a mostrar la versión actual del servidor
     // ========================================================================
 
-    noResults.classList.add('hidden');
+    const { accion, datos } = await ConflictDialog.open({
+        mio,
+        servidor,
+        campos: [
+            { clave: 'nombre', etiqueta: 'Nombre' },
+            { clave: 'email', etiqueta: 'Email' },
+            { clave: 'tipo_usuario', etiqueta: 'Tipo' }
+        ]
+    });
 
-    tbody.innerHTML = usuarios.map(user => {
+    if (accion === 'discard') {
+        showNotification('warning', '↩️ Se conservó la versión actual del usuario');
+        return;
+    }
+
+    await updateUser({
+        id: servidor.id,
+        nombre: datos.nombre,
+        email: datos.email,
+        tipo_usuario: datos.tipo_usuario,
+        fecha_actualizacion: servidor.fecha_actualizacion
+    }, opciones);
+    // ========================================================================
+    // Reenviar con la fecha_actualizacion ACTUAL
+    // - Si nadie más cambió el usuario entretanto, ahora se guarda
+    // - Si volvió a cambiar, aparece otro conflicto (nunca se pisa en silencio)
+    // ========================================================================
+}
+
+function replaceUser(id, usuario) {
+    store.dispatch({ type: 'usuarios/reemplazado', id, usuario });
+}
+
+function removeUser(id) {
+    store.dispatch({ type: 'usuarios/eliminado', id });
+}
+
+function notifyRollback(error, contexto, reintentar = null) {
+    console.error('Error:', error);
+    const mensaje = apiErrorMessage(error, contexto);
+    showError(mensaje);
+
+    const accion = reintentar && error instanceof ApiError && error.isTransient()
+        ? { texto: '🔄 Reintentar', onClick: reintentar }
+        : null;
+    showNotification('error', '↩️ Cambio revertido: ' + mensaje, accion);
+    // ========================================================================
+    // Avisar que la actualización optimista se deshizo
+    // - showError(): mensaje fijo junto al formulario
+    // - showNotification(): aviso temporal visible aunque se haya hecho scroll
+    //
+    // Botón "Reintentar":
+    // - POST y PUT no se reintentan automáticamente (no son idempotentes)
+    // - Si el fallo fue transitorio (timeout, 5xx), el usuario decide
+    //   repetir la operación con un clic
+    // ========================================================================
+}
+
+// ============================================================================
+// SECCIÓN 5: COLA OFFLINE
+// ============================================================================
+
+async function queueOfflineMutation(comando) {
+    // ========================================================================
+    // FUNCIÓN: queueOfflineMutation()
+    // PROPÓSITO: Guardar una operación fallida por red para reenviarla luego
+    // ========================================================================
+
+    try {
+        await offlineQueue.enqueue(comando);
+        showNotification('warning', '📴 Sin conexión: el cambio se enviará al recuperar la conexión');
+    } catch (error) {
+        console.error('Error:', error);
+        showError('No se pudo guardar el cambio sin conexión: ' + error.message);
         // ====================================================================
-        // Array.map() - Transformar cada elemento
+        // IndexedDB puede no estar disponible (ej: navegación privada)
         // ====================================================================
-        // ¿Qué hace?
-        // - Recorre el array usuarios
-        // - Para cada usuario, ejecuta la función
-        // - Devuelve un NUEVO array con los resultados
-        //
-        // Ejemplo:
-        // usuarios = [{id: 1, nombre: 'Juan'}, {id: 2, nombre: 'María'}]
-        // .map(user => `<tr>${user.nombre}</tr>`)
-        // Resultado: ['<tr>Juan</tr>', '<tr>María</tr>']
-        //
-        // .join('') une el array en un string:
-        // '<tr>Juan</tr><tr>María</tr>'
-        // ====================================================================
-
-        const iniciales = getIniciales(user.nombre);
-        const tipoBadge = user.tipo_usuario === 'admin' ? 'badge-admin' : 'badge-normal';
-        const tipoTexto = user.tipo_usuario === 'admin' ? '🔑 Admin' : '👤 Normal';
-        const estadoBadge = user.activo ? 'badge-active' : 'badge-inactive';
-        const estadoTexto = user.activo ? 'Activo' : 'Inactivo';
-        const fecha = formatDate(user.fecha_creacion);
-        // ====================================================================
-        // Preparar datos para la fila
-        // - Operador ternario: condicion ? siTrue : siFalse
-        // - Ejemplo: user.activo ? 'Activo' : 'Inactivo'
-        //   Si activo=true → 'Activo', si false → 'Inactivo'
-        // ====================================================================
-
-        return `
-            <tr>
-                <td>
-                    <div class="user-avatar">${iniciales}</div>
-                </td>
-                <td>
-                    <div class="user-name">${user.nombre}</div>
-                    <div class="user-email">${user.email}</div>
-                </td>
-                <td>
-                    <span class="badge ${tipoBadge}">${tipoTexto}</span>
-                </td>
-                <td>
-                    <span class="badge ${estadoBadge}">${estadoTexto}</span>
-                </td>
-                <td>${fecha}</td>
-                <td>
-                    <button onclick="editUser(${user.id})" class="btn-icon" title="Editar">
-                        ✏️
-                    </button>
-                    <button onclick="deleteUser(${user.id})" class="btn-icon btn-danger" title="Eliminar">
-                        🗑️
-                    </button>
-                </td>
-            </tr>
-        `;
-        // ====================================================================
-        // Template literal multi-línea
-        // - Backticks permiten saltos de línea
-        // - ${variable} inserta valores dinámicamente
-        // - Genera una fila <tr> completa por usuario
-        // ====================================================================
-
-    }).join('');
-    // ========================================================================
-    // .join('') - Unir array en string
-    // - map() devuelve array de strings HTML
-    // - join('') los une sin separador
-    // - innerHTML lo inserta en el DOM
+    }
+}
+
+async function refreshPendingMutations() {
+    let mutaciones;
+    try {
+        mutaciones = await offlineQueue.getAll();
+    } catch (error) {
+        mutaciones = [];
+    }
+    store.dispatch({ type: 'pendientes/actualizados', mutaciones });
+    // ========================================================================
+    // Sincronizar la copia del store con IndexedDB (la tabla se redibuja sola)
+    // ========================================================================
+}
+
+async function replayOfflineQueue() {
+    // ========================================================================
+    // FUNCIÓN: replayOfflineQueue()
+    // PROPÓSITO: Reenviar la cola offline y reportar cada fallo
+    // ========================================================================
+
+    let resultados;
+    try {
+        resultados = await offlineQueue.replay(api);
+    } catch (error) {
+        console.error('Error:', error);
+        return;
+    }
+    if (resultados.length === 0) return;
+    usersCache.invalidate();
+
+    const enviados = resultados.filter(r => r.ok).length;
+    if (enviados > 0) {
+        showNotification('success', `✅ ${enviados} cambio(s) sin conexión sincronizados`);
+    }
+
+    resultados.filter(r => !r.ok).forEach(({ comando, error }) => {
+        const acciones = { create: 'crear', update: 'actualizar', delete: 'eliminar' };
+        showNotification(
+            'error',
+            `❌ No se pudo ${acciones[comando.accion]} "${comando.usuario.nombre}": ${error.message}`
+        );
+    });
+    // ========================================================================
+    // Reporte por elemento
+    // - Ejemplo: "❌ No se pudo crear "Ana": El email ya está registrado"
+    // - Esos comandos ya se quitaron de la cola (reintentar no cambiaría nada)
+    // ========================================================================
+
+    await loadUsers();
+}
+
+// ============================================================================
+// SECCIÓN 6: ACTUALIZACIÓN EN VIVO
+// ============================================================================
+
+async function trackMutation(peticion) {
+    mutacionesEnCurso++;
+    try {
+        return await peticion;
+    } finally {
+        mutacionesEnCurso--;
+    }
+    // ========================================================================
+    // Envuelve la petición de un alta, edición o baja: cuenta las que
+    // siguen sin respuesta (ver mutacionesEnCurso y pollUsers())
+    // ========================================================================
+}
+
+async function pollUsers() {
+    // ========================================================================
+    // FUNCIÓN: pollUsers()
+    // PROPÓSITO: Traer la lista actual y fusionar cambios de otras personas
+    // ========================================================================
+
+    if (listRequestController || mutacionesEnCurso > 0) return;
+    // ========================================================================
+    // No competir con una carga en curso ni con un cambio optimista sin
+    // confirmar (alta, edición, baja, deshacer o acción masiva: se
+    // reconciliará solo cuando responda el servidor)
+    // ========================================================================
+
+    const params = buildListParams();
+    const seq = listRequestSeq;
+    const generacion = usersCache.generacion;
+    const data = await api.get('get_users.php', params, { retry: false });
+    if (seq !== listRequestSeq || mutacionesEnCurso > 0 || generacion !== usersCache.generacion) return;
+    // ========================================================================
+    // La respuesta es vieja si mientras tanto:
+    // - Se cambiaron los filtros (seq)
+    // - Empezó un cambio optimista (mutacionesEnCurso)
+    // - Se confirmó un cambio (invalidate() sube la generación): la
+    //   lista se leyó antes y lo desharía en pantalla
+    // ========================================================================
+
+    if (store.getState().mutacionesPendientes.length > 0) {
+        replayOfflineQueue();
+    }
+    // ========================================================================
+    // El servidor volvió a responder: reenviar la cola offline. El evento
+    // 'online' no alcanza cuando el que estaba caído era el backend PHP
+    // y el navegador nunca perdió la conexión
+    // ========================================================================
+
+    usersCache.set(params.toString(), data, generacion);
+    updateStats(data.stats);
+    receivePagination(data);
+    receiveGroups(data);
+
+    const cambios = LivePoller.diff(selectUsuarios(store.getState()), data.data);
+    if (!cambios.hayCambios) return;
+
+    store.dispatch({ type: 'usuarios/cargados', usuarios: data.data });
+    highlightRows([...cambios.insertados, ...cambios.actualizados].map(u => u.id));
+    // ========================================================================
+    // Fusionar: la lista del servidor ya trae inserciones, cambios y bajas
+    // en el orden pedido; solo se vuelve a dibujar el <tbody>, así que el
+    // scroll de la página y el formulario no se tocan
+    // ========================================================================
+
+    const usuarioEnEdicion = selectUsuarioEnEdicion(store.getState());
+    if (usuarioEnEdicion !== null) {
+        if (cambios.eliminados.includes(usuarioEnEdicion)) {
+            showNotification('warning', '⚠️ El usuario que estás editando ya no aparece en la lista');
+        } else if (cambios.actualizados.some(u => u.id === usuarioEnEdicion)) {
+            showNotification('warning', '⚠️ Otra persona modificó el usuario que estás editando');
+        }
+    }
+    // ========================================================================
+    // La edición en curso NO se pisa: el formulario conserva lo escrito.
+    // Si se guarda, update_user.php detecta el conflicto (409).
+    // ========================================================================
+}
+
+function applyRemoteMutation({ accion, id, antes, despues }) {
+    // ========================================================================
+    // FUNCIÓN: applyRemoteMutation()
+    // PROPÓSITO: Aplicar un cambio hecho en OTRA pestaña
+    // ========================================================================
+    // Mensaje recibido: { accion, antes, despues, id? }
+    // - antes/despues permiten ajustar las estadísticas aunque el usuario
+    //   no esté en la lista filtrada de esta pestaña
+    // ========================================================================
+
+    usersCache.invalidate();
+    const userId = accion === 'delete' ? id : despues.id;
+    mergeUser(userId, despues || null);
+    if (accion === 'create') {
+        adjustStats(null, despues);
+    } else if (antes && despues) {
+        adjustStats(antes, despues);
+    }
+
+    highlightRows([userId]);
+
+    const usuarioEnEdicion = selectUsuarioEnEdicion(store.getState());
+    if (accion === 'delete' && usuarioEnEdicion === userId) {
+        showNotification('warning', '⚠️ El usuario que estás editando fue eliminado en otra pestaña');
+    } else if (accion === 'update' && usuarioEnEdicion === userId) {
+        showNotification('warning', '⚠️ El usuario que estás editando fue modificado en otra pestaña');
+    }
+}
+
+function mergeUser(id, usuario) {
+    const state = store.getState();
+    const local = selectUsuarioPorId(state, id);
+    const visible = usuario !== null && selectCumpleFiltros(state, usuario);
+
+    if (local && visible) {
+        replaceUser(id, { ...local, ...usuario });
+    } else if (local) {
+        removeUser(id);
+    } else if (visible) {
+        const comparar = sortComparator(selectOrden(state));
+        const indice = state.usuarios.findIndex(u => comparar(u, usuario) > 0);
+        const { pagina, limite } = selectPaginacion(state);
+        const enEstaPagina = indice === -1
+            ? state.usuarios.length < limite
+            : indice > 0 || pagina === 1;
+        if (!enEstaPagina) return;
+
+        store.dispatch({
+            type: 'usuarios/insertado',
+            indice: indice === -1 ? state.usuarios.length : indice,
+            usuario
+        });
+        const usuarios = selectUsuarios(store.getState());
+        if (usuarios.length > limite) removeUser(usuarios[usuarios.length - 1].id);
+    }
+    // ========================================================================
+    // Aplicar la versión nueva de un usuario a la lista mostrada
+    // - Sigue cumpliendo los filtros → se reemplaza la fila
+    // - Ya no los cumple (ej: eliminado y se muestran solo activos) → se quita
+    // - No estaba y ahora sí (ej: alta, reactivado) → se inserta en su
+    //   posición según el orden actual (sortComparator())
+    //
+    // Con paginación solo se inserta si le toca ESTA página:
+    // - Antes de la primera fila de la página 2 o siguientes → va en una
+    //   página anterior
+    // - Después de la última fila con la página llena → va en la siguiente
+    // - Si entra en una página llena, la última fila pasa a la siguiente
+    // La próxima consulta (pollUsers()) trae la página exacta del servidor
+    // ========================================================================
+}
+
+function highlightRows(ids) {
+    store.dispatch({ type: 'resaltado/agregado', ids });
+
+    setTimeout(() => {
+        store.dispatch({ type: 'resaltado/quitado', ids });
+    }, 4000);
+    // ========================================================================
+    // Resaltar filas cambiadas durante 4 segundos (clase row-changed)
+    // ========================================================================
+}
+
+// ============================================================================
+// SECCIÓN 7: RENDERIZADO Y EDICIÓN
+// ============================================================================
+
+function renderUsersTable() {
+    // ========================================================================
+    // FUNCIÓN: renderUsersTable()
+    // PROPÓSITO: Dibujar la tabla de usuarios
+    // PATRÓN: Template Method
+    // ========================================================================
+
+    const noResults = document.getElementById('no-results');
+
+    const filas = selectFilasTabla(store.getState());
+    // ========================================================================
+    // selectFilasTabla(): usuarios del servidor + operaciones de la cola
+    // offline, con el panel de detalle debajo de cada usuario expandido
+    // ========================================================================
+
+    tablaUsuarios.setRows(filas);
+    noResults.classList.toggle('hidden', filas.length > 0);
+    // ========================================================================
+    // VirtualTable solo crea los <tr> que se ven en #table-scroll
+    // (renderUserRow() para cada uno); el resto son espacios vacíos con
+    // el alto correcto para que la barra de scroll no cambie
+    //
+    // Si no hay usuarios, mostrar mensaje "No hay resultados"
+    // ========================================================================
+}
+
+const COLUMNAS_USUARIOS = {
+    id: {
+        titulo: 'ID',
+        orden: 'id',
+        celda: (user) => html`<td class="col-id">${user.id === null || user._optimista ? '—' : user.id}</td>`
+    },
+    avatar: {
+        titulo: 'Iniciales',
+        orden: null,
+        celda: (user) => html`<td><div class="user-avatar">${getIniciales(user.nombre)}</div></td>`
+    },
+    nombre: {
+        titulo: 'Nombre',
+        orden: 'nombre',
+        celda: (user, editando, busqueda) => html`<td>${inlineField(user, editando, 'nombre',
+            html`<div class="user-name" data-campo="nombre">${highlightMatches(user.nombre, busqueda)}</div>`)}</td>`
+    },
+    email: {
+        titulo: 'Email',
+        orden: 'email',
+        celda: (user, editando, busqueda) => html`<td>${inlineField(user, editando, 'email',
+            html`<div class="user-email" data-campo="email">${highlightMatches(user.email, busqueda)}</div>`)}</td>`
+    },
+    tipo_usuario: {
+        titulo: 'Tipo',
+        orden: 'tipo_usuario',
+        celda: (user, editando) => html`<td>${inlineField(user, editando, 'tipo_usuario', user.tipo_usuario === 'admin'
+            ? html`<span class="badge badge-admin" data-campo="tipo_usuario">🔑 Admin</span>`
+            : html`<span class="badge badge-normal" data-campo="tipo_usuario">👤 Normal</span>`)}</td>`
+    },
+    activo: {
+        titulo: 'Estado',
+        orden: 'activo',
+        celda: (user) => html`<td>
+                <span class="badge ${user.activo ? 'badge-active' : 'badge-inactive'}">${user.activo ? 'Activo' : 'Inactivo'}</span>
+                ${user._pendiente
+                    ? html`<span class="badge badge-pending" title="Se enviará al recuperar la conexión">⏳ Pendiente</span>`
+                    : null}
+            </td>`
+    },
+    fecha_creacion: {
+        titulo: 'Fecha Creación',
+        orden: 'fecha_creacion',
+        celda: (user) => html`<td>${formatDate(user.fecha_creacion)}</td>`
+    },
+    fecha_actualizacion: {
+        titulo: 'Última Modificación',
+        orden: null,
+        celda: (user) => html`<td>${user.fecha_actualizacion ? formatDateTime(user.fecha_actualizacion) : '—'}</td>`
+    }
+};
+// ============================================================================
+// CONSTANTE COLUMNAS_USUARIOS - Definición de cada columna de la tabla
+// ============================================================================
+// Una sola lista arma el <thead> (renderColumns()) y las celdas de cada
+// fila (renderUserRow()): encabezados y datos siempre coinciden.
+// - titulo: texto del <th> y del menú "⚙️ Columnas"
+// - orden:  campo para ?orden= (null = la columna no se ordena)
+// - celda:  (user, editando, busqueda) → html`<td>...</td>`
+//           nombre y email marcan lo que coincide con la búsqueda
+//           (highlightMatches(): escapado y sin distinguir acentos)
+//
+// Qué columnas se ven y en qué orden: state.columnas (usersStore.js)
+// Filas pendientes (cola offline): badge "⏳ Pendiente" junto al estado
+// ============================================================================
+
+function renderUserRow(user) {
+    // ========================================================================
+    // FUNCIÓN: renderUserRow()
+    // PROPÓSITO: Generar el HTML de UNA fila (lo llama VirtualTable)
+    // ========================================================================
+
+    if (user._detalle) return renderDetailRow(user.usuario);
+    if (user._grupo) return renderGroupRow(user);
+
+    const state = store.getState();
+
+    const seleccionable = isSelectable(user);
+    const seleccionado = seleccionable && selectIdsSeleccionados(state).includes(user.id);
+    const enLinea = selectEdicionEnLinea(state);
+    const editando = enLinea && enLinea.id === user.id ? enLinea : null;
+    const busqueda = state.filtros.busqueda;
+    if (selectVistaActual(state) === 'tarjetas') {
+        return renderUserCard(user, { seleccionable, seleccionado, editando, busqueda });
+    }
+    // ========================================================================
+    // Vista de tarjetas: mismos datos y mismas reglas (selección, edición
+    // en línea, resaltado), otra presentación
+    // ========================================================================
+
+    const celdas = selectColumnasVisibles(state).map(clave => COLUMNAS_USUARIOS[clave].celda(user, editando, busqueda));
+    // ========================================================================
+    // Una celda por columna visible, en el orden elegido
+    // editando: nombre, email y tipo muestran el input / select si es la
+    // celda en edición en línea (ver inlineField())
+    // busqueda: el texto de #filter-search, resaltado en nombre y email
+    // ========================================================================
+
+    const expandido = state.filasExpandidas.includes(user.id);
+    const acciones = user.id === null || user._optimista ? null : html`
+                <button type="button" class="btn-icon btn-expand" data-detalle="${user.id}" aria-expanded="${expandido ? 'true' : 'false'}" aria-controls="detalle-${user.id}" title="Historial de notificaciones">
+                    ${expandido ? '▾' : '▸'}
+                </button>
+                <button onclick="editUser(${user.id})" class="btn-icon" title="Editar">
+                    ✏️
+                </button>
+                <button onclick="deleteUser(${user.id})" class="btn-icon btn-danger" title="Eliminar">
+                    🗑️
+                </button>`;
+    // ========================================================================
+    // - Las altas pendientes aún no tienen id: sin botones de acción
+    // - Lo mismo para una alta optimista (id temporal) hasta que el
+    //   servidor confirme
+    // - Ninguna fila pendiente se puede seleccionar para acciones masivas
+    // - ▸ / ▾ abre o cierra el historial de notificaciones debajo de la fila
+    // ========================================================================
+
+    return html`
+        <tr data-id="${user.id}" class="${user._pendiente || user._optimista ? 'row-pending' : ''} ${state.filasResaltadas.includes(user.id) ? 'row-changed' : ''} ${seleccionado ? 'row-selected' : ''}">
+            <td class="col-select">
+                <input type="checkbox" class="row-select" aria-label="Seleccionar a ${user.nombre}" ${seleccionado ? html`checked` : null} ${seleccionable ? null : html`disabled`}>
+            </td>
+            ${celdas}
+            <td class="col-actions">${acciones}
+            </td>
+        </tr>
+    `;
+    // ========================================================================
+    // Plantilla html`...` (js/utils/html.js)
+    // - Backticks permiten saltos de línea
+    // - ${variable} inserta valores ESCAPADOS: un nombre como
+    //   <img onerror=...> se muestra como texto, no se ejecuta
+    // - celdas / acciones ya son html`...`: se insertan sin escapar otra vez
+    //   (celdas es un array: se unen sin separador)
+    // - La casilla de selección y Acciones quedan fijas (primera y última)
+    // ========================================================================
+}
+
+function renderUserCard(user, { seleccionable, seleccionado, editando, busqueda }) {
+    // ========================================================================
+    // FUNCIÓN: renderUserCard()
+    // PROPÓSITO: La fila de un usuario como tarjeta (vista de tarjetas)
+    // ========================================================================
+    // Sigue siendo un <tr> (VirtualTable y la delegación de eventos en
+    // <tbody> no cambian) con una sola celda que ocupa todo el ancho:
+    //
+    //   ┌─────────────────────────────────────┐
+    //   │ ☐  (AG)  Ana García                 │
+    //   │          ana@email.com              │
+    //   │ 🔑 Admin  Activo                    │
+    //   │ Creado 15 ene 2024 · Modificado ... │
+    //   │    ▸ Notificaciones ✏️ Editar 🗑️ ... │
+    //   └─────────────────────────────────────┘
+    // ========================================================================
+
+    const state = store.getState();
+    const expandido = state.filasExpandidas.includes(user.id);
+    const conAcciones = user.id !== null && !user._optimista;
+
+    const acciones = conAcciones ? html`
+                        <button type="button" class="btn btn-secondary btn-expand" data-detalle="${user.id}" aria-expanded="${expandido ? 'true' : 'false'}" aria-controls="detalle-${user.id}">
+                            ${expandido ? '▾' : '▸'} Notificaciones
+                        </button>
+                        <button type="button" onclick="editUser(${user.id})" class="btn btn-secondary">✏️ Editar</button>
+                        <button type="button" onclick="deleteUser(${user.id})" class="btn btn-danger">🗑️ Eliminar</button>` : null;
+
+    return html`
+        <tr data-id="${user.id}" class="card-row ${user._pendiente || user._optimista ? 'row-pending' : ''} ${state.filasResaltadas.includes(user.id) ? 'row-changed' : ''} ${seleccionado ? 'row-selected' : ''}">
+            <td colspan="${selectColumnasVisibles(state).length + 2}">
+                <article class="user-card" aria-label="${user.nombre}">
+                    ${seleccionable ? html`<div class="card-swipe-hint" aria-hidden="true">
+                        <span class="swipe-edit-label">✏️ Editar</span>
+                        <span class="swipe-delete-label">🗑️ Eliminar</span>
+                    </div>` : null}
+                    <div class="card-body">
+                        <div class="card-header">
+                            <input type="checkbox" class="row-select" aria-label="Seleccionar a ${user.nombre}" ${seleccionado ? html`checked` : null} ${seleccionable ? null : html`disabled`}>
+                            <div class="user-avatar">${getIniciales(user.nombre)}</div>
+                            <div class="card-identity">
+                                ${inlineField(user, editando, 'nombre',
+                                    html`<div class="user-name" data-campo="nombre">${highlightMatches(user.nombre, busqueda)}</div>`)}
+                                ${inlineField(user, editando, 'email',
+                                    html`<div class="user-email" data-campo="email">${highlightMatches(user.email, busqueda)}</div>`)}
+                            </div>
+                        </div>
+                        <div class="card-badges">
+                            ${inlineField(user, editando, 'tipo_usuario', user.tipo_usuario === 'admin'
+                                ? html`<span class="badge badge-admin" data-campo="tipo_usuario">🔑 Admin</span>`
+                                : html`<span class="badge badge-normal" data-campo="tipo_usuario">👤 Normal</span>`)}
+                            <span class="badge ${user.activo ? 'badge-active' : 'badge-inactive'}">${user.activo ? 'Activo' : 'Inactivo'}</span>
+                            ${user._pendiente
+                                ? html`<span class="badge badge-pending" title="Se enviará al recuperar la conexión">⏳ Pendiente</span>`
+                                : null}
+                        </div>
+                        <p class="card-dates">
+                            Creado ${formatDate(user.fecha_creacion)}${user.fecha_actualizacion
+                                ? html` · Modificado ${formatDateTime(user.fecha_actualizacion)}`
+                                : null}
+                        </p>
+                        ${acciones ? html`<div class="card-actions">${acciones}
+                        </div>` : null}
+                    </div>
+                </article>
+            </td>
+        </tr>
+    `;
+    // ========================================================================
+    // - Las tarjetas muestran todos los datos (las columnas ocultas de la
+    //   tabla no aplican aquí)
+    // - Mismas reglas que la fila: sin acciones para altas pendientes u
+    //   optimistas; deslizar solo en las que se pueden editar (el aviso
+    //   ✏️ / 🗑️ de fondo existe solo en esas)
+    // - Doble clic en nombre, email o tipo: edición en línea igual que en
+    //   la tabla (data-campo)
+    // ========================================================================
+}
+
+function scrollToUser(id) {
+    const indice = selectFilasTabla(store.getState()).findIndex(u => !u._detalle && u.id === id);
+    if (indice === -1) return false;
+
+    tablaUsuarios.scrollToIndex(indice);
+    return true;
+    // ========================================================================
+    // Llevar la fila de un usuario a la vista
+    // - Con scroll virtual su <tr> puede no existir todavía: se desplaza
+    //   el contenedor por índice y VirtualTable la dibuja
+    // - Devuelve false si el usuario no está en la lista actual
     // ========================================================================
 }
 
@@ -598,9 +1595,9 @@ function editUser(id) {
     // PROPÓSITO: Cargar datos del usuario en el formulario para editar
     // ========================================================================
 
-    const usuario = usuarios.find(u => u.id === id);
+    const usuario = selectUsuarioPorId(store.getState(), id);
     // ========================================================================
-    // Array.find() - Buscar elemento que cumpla condición
+    // selectUsuarioPorId() usa Array.find() - Buscar elemento que cumpla condición
     // ========================================================================
     // ¿Qué hace?
     // - Recorre usuarios[]
@@ -620,144 +1617,1665 @@ function editUser(id) {
 
     if (!usuario) return;
 
-    document.getElementById('nombre').value = usuario.nombre;
-    document.getElementById('email').value = usuario.email;
-    document.getElementById('tipo_usuario').value = usuario.tipo_usuario;
-    document.getElementById('user-id').value = usuario.id;
+    store.dispatch({ type: 'formulario/editar', id, datos: usuario });
     // ========================================================================
-    // Llenar formulario con datos del usuario
-    // - Asignar valores a cada input
-    // - user-id es campo hidden que guarda el ID
+    // Pasar el formulario a modo EDITAR
+    // - renderForm() (suscrito a state.formulario) llena los inputs y
+    //   cambia título, botón y botón Cancelar
     // ========================================================================
+}
 
-    usuarioEnEdicion = id;
+// ============================================================================
+// EDICIÓN EN LÍNEA (doble clic en una celda)
+// ============================================================================
 
-    document.getElementById('form-title').textContent = '✏️ Editar Usuario';
-    document.getElementById('btn-submit').textContent = '💾 Guardar Cambios';
-    document.getElementById('btn-cancel').classList.remove('hidden');
+/**
+ * HTML de un campo editable de la fila:
+ * - `texto` si no se está editando
+ * - <input> (nombre, email) o <select> (tipo) si es la celda en edición
+ */
+function inlineField(user, editando, campo, texto) {
+    if (!editando || editando.campo !== campo) return texto;
+
+    const valor = editando.valor === null ? editando.original : editando.valor;
+    const error = editando.error
+        ? html`<div class="inline-error" id="inline-error-${user.id}" role="alert">${editando.error}</div>`
+        : null;
+    const invalido = editando.error
+        ? html`aria-invalid="true" aria-describedby="inline-error-${user.id}"`
+        : null;
+    const etiquetas = { nombre: 'Nombre', email: 'Email', tipo_usuario: 'Tipo de usuario' };
+
+    if (campo === 'tipo_usuario') {
+        return html`<select class="inline-input" data-campo="${campo}" aria-label="${etiquetas[campo]}">
+                    <option value="normal" ${valor === 'normal' ? html`selected` : null}>👤 Normal</option>
+                    <option value="admin" ${valor === 'admin' ? html`selected` : null}>🔑 Admin</option>
+                </select>${error}`;
+    }
+    return html`<input type="${campo === 'email' ? 'email' : 'text'}" class="inline-input" data-campo="${campo}" value="${valor}" aria-label="${etiquetas[campo]}" ${invalido}>${error}`;
     // ========================================================================
-    // Cambiar interfaz a modo EDITAR
-    // - Cambiar título del formulario
-    // - Cambiar texto del botón
-    // - Mostrar botón Cancelar
+    // El valor va escapado dentro de value="..." (plantilla html):
+    // un nombre con comillas no rompe el atributo
     // ========================================================================
 }
 
-function cancelEdit() {
+function startInlineEdit(e) {
+    const objetivo = e.target.closest('[data-campo]:not(.inline-input)');
+    if (!objetivo) return;
+
+    const id = Number(objetivo.closest('tr').dataset.id);
+    const usuario = selectUsuarioPorId(store.getState(), id);
+    if (!usuario || !isSelectable(usuario)) return;
     // ========================================================================
-    // FUNCIÓN: cancelEdit()
-    // PROPÓSITO: Cancelar edición y volver a modo CREAR
+    // Mismas filas que se pueden seleccionar: altas sin confirmar y
+    // cambios en la cola offline no se editan
     // ========================================================================
 
-    document.getElementById('user-form').reset();
-    document.getElementById('user-id').value = '';
-    usuarioEnEdicion = null;
+    const { campo } = objetivo.dataset;
+    store.dispatch({
+        type: 'enLinea/iniciada',
+        id,
+        campo,
+        original: usuario[campo],
+        version: usuario.fecha_actualizacion
+    });
+    focusInlineEditor();
+}
+
+function focusInlineEditor() {
+    const edicion = selectEdicionEnLinea(store.getState());
+    if (!edicion || !scrollToUser(edicion.id)) return;
 
-    document.getElementById('form-title').textContent = '➕ Agregar Nuevo Usuario';
-    document.getElementById('btn-submit').textContent = '➕ Crear Usuario';
-    document.getElementById('btn-cancel').classList.add('hidden');
-    hideError();
+    const campo = document.querySelector(`#users-tbody tr[data-id="${edicion.id}"] .inline-input`);
+    if (!campo) return;
+    campo.focus();
+    if (campo.select) campo.select();
     // ========================================================================
-    // Restaurar formulario a modo CREAR
-    // - reset() limpia todos los campos
-    // - Cambiar títulos y textos
-    // - Ocultar botón Cancelar
-    // - Limpiar errores
+    // La tabla ya se dibujó (la suscripción es síncrona): el input existe
+    // select(): el texto queda marcado para escribir encima
     // ========================================================================
 }
 
-// ============================================================================
-// FUNCIONES DE UTILIDAD
-// ============================================================================
+function handleInlineKeydown(e) {
+    if (!e.target.matches('.inline-input')) return;
 
-function getIniciales(nombre) {
-    return nombre
-        .split(' ')
-        .map(palabra => palabra[0])
-        .join('')
-        .toUpperCase()
-        .slice(0, 2);
-    // ========================================================================
-    // Obtener iniciales de un nombre
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        commitInlineEdit(e);
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        store.dispatch({ type: 'enLinea/terminada' });
+    }
     // ========================================================================
-    // Ejemplo: "Juan Pérez" → "JP"
-    //
-    // Paso a paso:
-    // 1. .split(' ') → ['Juan', 'Pérez']
-    // 2. .map(p => p[0]) → ['J', 'P'] (primer caracter de cada palabra)
-    // 3. .join('') → 'JP'
-    // 4. .toUpperCase() → 'JP' (mayúsculas)
-    // 5. .slice(0, 2) → 'JP' (máximo 2 caracteres)
+    // - Enter: guardar (igual que salir de la celda)
+    // - Escape: descartar lo escrito; la celda vuelve al valor guardado
     // ========================================================================
 }
 
-function formatDate(fechaString) {
-    const fecha = new Date(fechaString);
-    return fecha.toLocaleDateString('es-ES', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric'
-    });
+async function commitInlineEdit(e) {
+    const input = e.target;
+    if (!input.matches('.inline-input')) return;
+
+    const edicion = selectEdicionEnLinea(store.getState());
+    const id = Number(input.closest('tr').dataset.id);
+    if (!edicion || edicion.id !== id || edicion.campo !== input.dataset.campo) return;
     // ========================================================================
-    // Formatear fecha
+    // Enter, change y focusout pueden llegar juntos para la misma celda:
+    // solo el primero la guarda (luego edicionEnLinea ya es null)
     // ========================================================================
-    // Entrada: "2024-01-15 10:30:00"
-    // Salida: "15 ene 2024"
-    //
-    // new Date() → Crear objeto Date
-    // toLocaleDateString() → Formatear según idioma
-    // 'es-ES' → Español de España
+
+    const { campo, original, version } = edicion;
+    const valor = input.value.trim();
+    const usuario = selectUsuarioPorId(store.getState(), id);
+    if (!usuario || valor === original) {
+        store.dispatch({ type: 'enLinea/terminada' });
+        return;
+    }
+    // ========================================================================
+    // Sin cambios → cerrar sin llamar al servidor
     // ========================================================================
-}
 
-function updateStats(stats) {
-    document.getElementById('stat-total').textContent = stats.total || 0;
-    document.getElementById('stat-admins').textContent = stats.admins || 0;
-    document.getElementById('stat-normales').textContent = stats.normales || 0;
-    document.getElementById('stat-activos').textContent = stats.activos || 0;
+    const validator = new UserValidator();
+    const valido = campo === 'nombre' ? validator.validateNombre(valor)
+        : campo === 'email' ? validator.validateEmail(valor)
+            : ['admin', 'normal'].includes(valor);
+    if (!valido) {
+        store.dispatch({
+            type: 'enLinea/invalida',
+            valor,
+            error: validator.getErrors().join(', ') || 'Valor no válido'
+        });
+        return;
+    }
     // ========================================================================
-    // Actualizar tarjetas de estadísticas
-    // - stats.total || 0: Si total es undefined, usa 0
-    // - textContent: Cambiar texto del elemento
+    // Inválido → la celda sigue abierta con el error debajo; se corrige
+    // y se vuelve a salir de la celda, o Escape para descartar
+    // ========================================================================
+
+    store.dispatch({ type: 'enLinea/terminada' });
+    await updateUser({
+        id,
+        nombre: usuario.nombre,
+        email: usuario.email,
+        tipo_usuario: usuario.tipo_usuario,
+        [campo]: valor,
+        fecha_actualizacion: version
+    }, { campoEnLinea: campo, originalEnLinea: original });
+    // ========================================================================
+    // Mismo update_user.php que el formulario (los otros campos con su
+    // valor actual): actualización optimista, conflictos 409, cola
+    // offline y "↩️ Deshacer" funcionan igual
+    // - fecha_actualizacion: la de cuando empezó la edición, no la actual.
+    //   Si alguien guardó mientras tanto, 409 → diálogo de conflicto
     // ========================================================================
 }
 
-function showError(mensaje) {
-    const errorDiv = document.getElementById('error-message');
-    errorDiv.textContent = mensaje;
-    errorDiv.classList.remove('hidden');
+function cancelEdit() {
+    // ========================================================================
+    // FUNCIÓN: cancelEdit()
+    // PROPÓSITO: Cancelar edición y volver a modo CREAR
+    // ========================================================================
+
+    store.dispatch({ type: 'formulario/limpiar' });
+    hideError();
 }
 
-function hideError() {
-    document.getElementById('error-message').classList.add('hidden');
+function fillForm(datos) {
+    store.dispatch({ type: 'formulario/rellenar', datos });
+    // ========================================================================
+    // Rellenar el formulario con datos que no se pudieron guardar
+    // (sin cambiar de modo crear/editar)
+    // ========================================================================
 }
 
-function showNotification(tipo, mensaje) {
-    // Implementación de notificación temporal (toast)
-    const notification = document.createElement('div');
-    notification.className = `notification notification-${tipo}`;
-    notification.textContent = mensaje;
-    document.body.appendChild(notification);
+function renderForm(formulario) {
+    // ========================================================================
+    // FUNCIÓN: renderForm()
+    // PROPÓSITO: Dibujar el formulario según state.formulario
+    // ========================================================================
+
+    const { id, datos } = formulario;
+
+    if (datos) {
+        document.getElementById('nombre').value = datos.nombre;
+        document.getElementById('email').value = datos.email;
+        document.getElementById('tipo_usuario').value = datos.tipo_usuario;
+    } else {
+        document.getElementById('user-form').reset();
+    }
+    document.getElementById('user-id').value = id === null ? '' : id;
+    document.getElementById('user-version').value =
+        id !== null && datos && datos.fecha_actualizacion ? datos.fecha_actualizacion : '';
+    // ========================================================================
+    // Llenar (o limpiar) los inputs
+    // - user-id es campo hidden que guarda el ID
+    // - user-version guarda la fecha_actualizacion cargada (concurrencia)
+    // - reset() no limpia los hidden: se asignan siempre a mano
+    // ========================================================================
+
+    const editando = id !== null;
+    document.getElementById('form-title').textContent =
+        editando ? '✏️ Editar Usuario' : '➕ Agregar Nuevo Usuario';
+    document.getElementById('btn-submit').textContent =
+        editando ? '💾 Guardar Cambios' : '➕ Crear Usuario';
+    document.getElementById('btn-cancel').classList.toggle('hidden', !editando);
+    // ========================================================================
+    // Modo EDITAR (id número) o CREAR (id null)
+    // - Título del formulario, texto del botón y botón Cancelar
+    // ========================================================================
+}
+
+// ============================================================================
+// SECCIÓN 8: DESHACER / REHACER
+// ============================================================================
+
+function recordUserChange(descripcion, antes, despues) {
+    // ========================================================================
+    // FUNCIÓN: recordUserChange()
+    // PROPÓSITO: Registrar un cambio confirmado en el historial
+    // ========================================================================
+    // - Crear:    antes = null   → deshacer = desactivar el usuario creado
+    // - Editar:   antes = viejo  → deshacer = volver a los campos anteriores
+    // - Eliminar: antes = activo → deshacer = reactivar (soft delete)
+    //
+    // actual: última versión conocida del servidor. Su fecha_actualizacion
+    // se envía en cada paso, así deshacer nunca pisa en silencio un cambio
+    // que otra persona hizo entretanto (update_user.php responde 409).
+    // ========================================================================
+
+    let actual = despues;
+    const aplicar = async (objetivo) => {
+        actual = await saveUserVersion(objetivo, actual);
+    };
+
+    const comando = {
+        descripcion,
+        deshacer: () => aplicar(antes || { ...despues, activo: false }),
+        rehacer: () => aplicar(despues)
+    };
+    historial.record(comando);
+    return comando;
+}
+
+async function saveUserVersion(objetivo, actual) {
+    const data = await trackMutation(api.put('update_user.php', {
+        id: objetivo.id,
+        nombre: objetivo.nombre,
+        email: objetivo.email,
+        tipo_usuario: objetivo.tipo_usuario,
+        activo: objetivo.activo ? 1 : 0,
+        fecha_actualizacion: actual.fecha_actualizacion
+    }));
+    // ========================================================================
+    // Todos los pasos del historial son un PUT con la versión completa
+    // (incluido activo), incluso "eliminar": el resultado es el mismo soft
+    // delete y la respuesta trae la nueva fecha_actualizacion
+    // ========================================================================
+
+    const guardado = data.data;
+    mergeUser(guardado.id, guardado);
+    adjustStats(actual, guardado);
+    usersCache.invalidate();
+    tabSync.publish({ accion: 'update', antes: actual, despues: guardado });
+    highlightRows([guardado.id]);
+    scrollToUser(guardado.id);
+    return guardado;
+}
+
+function undoAction(comando) {
+    return comando ? { texto: '↩️ Deshacer', onClick: () => undoChange(comando) } : null;
+    // ========================================================================
+    // Botón "Deshacer" para la notificación de éxito
+    // ========================================================================
+}
+
+async function undoChange(comando = null) {
+    if (comando && historial.peek() !== comando) {
+        showNotification('warning', '⚠️ Solo se puede deshacer el último cambio (Ctrl+Z)');
+        return;
+    }
+    // ========================================================================
+    // El botón de una notificación vieja no puede saltarse cambios
+    // posteriores: el historial se deshace en orden inverso
+    // ========================================================================
+
+    if (!historial.canUndo()) {
+        showNotification('warning', 'No hay cambios para deshacer');
+        return;
+    }
+
+    try {
+        const deshecho = await historial.undo();
+        if (!deshecho) return;
+        showNotification('success', `↩️ Se deshizo: ${deshecho.descripcion}`, {
+            texto: '↪️ Rehacer',
+            onClick: redoChange
+        });
+    } catch (error) {
+        console.error('Error:', error);
+        showNotification('error', apiErrorMessage(error, 'No se pudo deshacer'));
+    }
+}
+
+async function redoChange() {
+    if (!historial.canRedo()) {
+        showNotification('warning', 'No hay cambios para rehacer');
+        return;
+    }
+
+    try {
+        const rehecho = await historial.redo();
+        if (!rehecho) return;
+        showNotification('success', `↪️ Se rehízo: ${rehecho.descripcion}`, undoAction(rehecho));
+    } catch (error) {
+        console.error('Error:', error);
+        showNotification('error', apiErrorMessage(error, 'No se pudo rehacer'));
+    }
+}
+
+function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const tecla = (e.key || '').toLowerCase();
+    if (tecla !== 'z' && tecla !== 'y') return;
+    // ========================================================================
+    // Algunos keydown sintéticos (ej: el autocompletado del navegador) no
+    // traen key: se descartan sin romper
+    // ========================================================================
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+    // ========================================================================
+    // Dentro de un campo de texto, Ctrl+Z es el deshacer nativo del
+    // navegador (lo escrito en el input), no el del historial
+    // ========================================================================
+
+    e.preventDefault();
+    if (tecla === 'y' || e.shiftKey) {
+        redoChange();
+    } else {
+        undoChange();
+    }
+    // ========================================================================
+    // - Ctrl+Z (Cmd+Z en Mac)            → deshacer
+    // - Ctrl+Shift+Z / Ctrl+Y            → rehacer
+    // ========================================================================
+}
+
+// ============================================================================
+// SECCIÓN 9: ESTADO EN LA URL
+// ============================================================================
+
+function syncUrl([filtros, orden, pagina, limite, editar], anteriores) {
+    // ========================================================================
+    // FUNCIÓN: syncUrl()
+    // PROPÓSITO: Copiar filtros, orden, página y usuario en edición a la URL
+    // ========================================================================
+
+    if (aplicandoUrl) return;
+
+    const enUrl = parseUrlState(window.location.search);
+    if (sameFilters(enUrl.filtros, filtros)
+        && sameSort(enUrl.orden || ORDEN_POR_DEFECTO, orden)
+        && enUrl.pagina === pagina
+        && enUrl.limite === limite
+        && enUrl.editar === editar) return;
+    // ========================================================================
+    // La URL ya describe este estado (ej: al abrir un enlace compartido)
+    // ========================================================================
+
+    const search = buildUrlState(store.getState(), window.location.search);
+    const url = (search || window.location.pathname) + window.location.hash;
+
+    const [filtrosAnteriores, ordenAnterior, , limiteAnterior, editarAnterior] = anteriores;
+    const escribiendo = editar === editarAnterior
+        && orden === ordenAnterior
+        && limite === limiteAnterior
+        && filtros.tipo === filtrosAnteriores.tipo
+        && filtros.activo === filtrosAnteriores.activo
+        && filtros.busqueda !== filtrosAnteriores.busqueda
+        && filtrosAnteriores.busqueda !== '';
+    if (escribiendo || ajustandoPagina) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+    // ========================================================================
+    // pushState vs replaceState
+    // - pushState: nueva entrada en el historial (Atrás vuelve aquí)
+    //   · Cambiar un select u orden, abrir o cerrar una edición,
+    //     EMPEZAR una búsqueda
+    // - replaceState: reemplaza la entrada actual
+    //   · Seguir escribiendo: "m", "ma", "mar"... no crea 3 entradas
+    //     (la búsqueda vuelve a la página 1: no importa la anterior)
+    //   · Página corregida por el servidor (ver ajustandoPagina)
+    // ========================================================================
+}
+
+function applyUrlState() {
+    // ========================================================================
+    // FUNCIÓN: applyUrlState()
+    // PROPÓSITO: Aplicar la URL al volver Atrás / Adelante (evento popstate)
+    // ========================================================================
+
+    const { filtros, orden, pagina, limite, editar } = parseUrlState(window.location.search);
+    const state = store.getState();
+    const editando = selectUsuarioEnEdicion(state);
+    const mismaLista = sameFilters(filtros, state.filtros)
+        && sameSort(orden || ORDEN_POR_DEFECTO, state.orden)
+        && pagina === state.paginacion.pagina
+        && limite === state.paginacion.limite;
+
+    aplicandoUrl = true;
+    try {
+        store.dispatch({ type: 'filtros/cambiados', filtros });
+        store.dispatch({ type: 'orden/cambiado', orden: orden || ORDEN_POR_DEFECTO });
+        store.dispatch({ type: 'paginacion/limite', limite });
+        store.dispatch({ type: 'paginacion/pagina', pagina });
+
+        if (editar === null) {
+            if (editando !== null) cancelEdit();
+        } else if (editar !== editando) {
+            edicionPendiente = editar;
+            if (mismaLista) restorePendingEdit();
+        }
+        // ====================================================================
+        // Si cambiaron filtros, orden o página, la lista actual ya no sirve: la edición
+        // se abre cuando loadUsers() traiga la lista nueva
+        // ====================================================================
+    } finally {
+        aplicandoUrl = false;
+    }
+}
+
+function restorePendingEdit() {
+    if (edicionPendiente === null) return;
+
+    const id = edicionPendiente;
+    edicionPendiente = null;
+
+    if (selectUsuarioPorId(store.getState(), id)) {
+        editUser(id);
+        scrollToUser(id);
+        return;
+    }
+
+    showNotification('warning', `⚠️ El usuario #${id} no aparece con los filtros actuales`);
+    const search = buildUrlState(store.getState(), window.location.search);
+    history.replaceState(null, '', (search || window.location.pathname) + window.location.hash);
+    // ========================================================================
+    // El enlace apuntaba a un usuario que no está en la lista (eliminado,
+    // filtrado...): se avisa y se quita ?editar= de la URL
+    // ========================================================================
+}
+
+// ============================================================================
+// FUNCIONES DE UTILIDAD
+// ============================================================================
+
+function getIniciales(nombre) {
+    return nombre
+        .split(' ')
+        .map(palabra => palabra[0])
+        .join('')
+        .toUpperCase()
+        .slice(0, 2);
+    // ========================================================================
+    // Obtener iniciales de un nombre
+    // ========================================================================
+    // Ejemplo: "Juan Pérez" → "JP"
+    //
+    // Paso a paso:
+    // 1. .split(' ') → ['Juan', 'Pérez']
+    // 2. .map(p => p[0]) → ['J', 'P'] (primer caracter de cada palabra)
+    // 3. .join('') → 'JP'
+    // 4. .toUpperCase() → 'JP' (mayúsculas)
+    // 5. .slice(0, 2) → 'JP' (máximo 2 caracteres)
+    // ========================================================================
+}
+
+function formatDate(fechaString) {
+    const fecha = new Date(fechaString);
+    return fecha.toLocaleDateString('es-ES', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+    // ========================================================================
+    // Formatear fecha
+    // ========================================================================
+    // Entrada: "2024-01-15 10:30:00"
+    // Salida: "15 ene 2024"
+    //
+    // new Date() → Crear objeto Date
+    // toLocaleDateString() → Formatear según idioma
+    // 'es-ES' → Español de España
+    // ========================================================================
+}
+
+function formatDateTime(fechaString) {
+    return new Date(fechaString.replace(' ', 'T')).toLocaleString('es-ES', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+    // ========================================================================
+    // "2024-01-15 10:30:00" → "15 ene 2024, 10:30"
+    // replace(' ', 'T'): formato ISO, que todos los navegadores leen igual
+    // ========================================================================
+}
+
+function updateStats(stats) {
+    store.dispatch({ type: 'estadisticas/actualizadas', estadisticas: stats });
+}
+
+function renderStats(stats) {
+    document.getElementById('stat-total').textContent = stats.total || 0;
+    document.getElementById('stat-admins').textContent = stats.admins || 0;
+    document.getElementById('stat-normales').textContent = stats.normales || 0;
+    document.getElementById('stat-activos').textContent = stats.activos || 0;
+    // ========================================================================
+    // Actualizar tarjetas de estadísticas
+    // - stats.total || 0: Si total es undefined, usa 0
+    // - textContent: Cambiar texto del elemento
+    // ========================================================================
+}
+
+function adjustStats(antes, despues) {
+    const aporte = (usuario) => ({
+        total: usuario ? 1 : 0,
+        admins: usuario && usuario.tipo_usuario === 'admin' ? 1 : 0,
+        normales: usuario && usuario.tipo_usuario === 'normal' ? 1 : 0,
+        activos: usuario && usuario.activo ? 1 : 0
+    });
+    const a = aporte(antes);
+    const d = aporte(despues);
+    const nuevas = { ...store.getState().estadisticas };
+    Object.keys(a).forEach(clave => {
+        nuevas[clave] = Number(nuevas[clave] || 0) - a[clave] + d[clave];
+    });
+    updateStats(nuevas);
+    // ========================================================================
+    // Ajustar estadísticas sin volver a pedirlas al servidor
+    // ========================================================================
+    // Se resta el "aporte" del usuario antes del cambio y se suma el de después:
+    // - Crear:    antes = null,  despues = usuario
+    // - Editar:   antes = viejo, despues = nuevo (ej: normal → admin)
+    // - Eliminar: antes = activo, despues = inactivo (soft delete: total igual)
+    // ========================================================================
+}
+
+function showError(mensaje) {
+    const errorDiv = document.getElementById('form-errors');
+    errorDiv.textContent = mensaje;
+    errorDiv.classList.remove('hidden');
+    // ========================================================================
+    // textContent (nunca innerHTML): el mensaje puede venir del servidor
+    // (ApiError) y se muestra siempre como texto
+    // ========================================================================
+}
+
+function hideError() {
+    document.getElementById('form-errors').classList.add('hidden');
+}
+
+function apiErrorMessage(error, contexto) {
+    if (error instanceof ApiError && (error.type === 'validation' || error.type === 'server')) {
+        return error.message;
+    }
+    return `${contexto}: ${error.message}`;
+    // ========================================================================
+    // Texto para mostrar un error de la API
+    // ========================================================================
+    // - 'validation' / 'server': El mensaje ya viene del backend, se muestra tal cual
+    //   Ej: "El email ya está en uso"
+    // - 'network' / 'timeout' / 'http': Se antepone el contexto de la operación
+    //   Ej: "Error al crear usuario: No se pudo conectar con el servidor"
+    // ========================================================================
+}
+
+function showNotification(tipo, mensaje, accion = null) {
+    // Implementación de notificación temporal (toast)
+    const notification = document.createElement('div');
+    notification.className = `notification notification-${tipo}`;
+    notification.textContent = mensaje;
+
+    if (accion) {
+        const boton = document.createElement('button');
+        boton.type = 'button';
+        boton.className = 'notification-action';
+        boton.textContent = accion.texto;
+        boton.addEventListener('click', () => {
+            notification.remove();
+            accion.onClick();
+        });
+        notification.appendChild(boton);
+    }
+    // ========================================================================
+    // accion (opcional): { texto, onClick }
+    // - Agrega un botón dentro del toast (ej: "🔄 Reintentar")
+    // - Con acción, el toast dura más para dar tiempo a pulsarlo
+    // ========================================================================
+
+    document.body.appendChild(notification);
 
     setTimeout(() => {
         notification.remove();
-    }, 3000);
+    }, accion ? 8000 : 3000);
 }
 
 function showLoading(show) {
+    store.dispatch({ type: 'carga/cambiada', visible: show });
+}
+
+function showRetrying(intento, total) {
+    store.dispatch({
+        type: 'carga/cambiada',
+        visible: true,
+        mensaje: `🔄 Reintentando (${intento}/${total})…`
+    });
+    // ========================================================================
+    // Estado visible "Reintentando…"
+    // - Reutiliza el spinner de carga
+    // - Se muestra mientras ApiClient espera antes del siguiente intento
+    // ========================================================================
+}
+
+function renderLoading({ visible, mensaje }) {
     const loading = document.getElementById('loading');
-    if (show) {
-        loading.classList.remove('hidden');
+    loading.querySelector('p').textContent = mensaje;
+    loading.classList.toggle('hidden', !visible);
+}
+
+function debounce(fn, espera) {
+    let timer = null;
+    return function(...args) {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn.apply(this, args), espera);
+    };
+    // ========================================================================
+    // Debounce - Retrasar una función hasta que dejen de llamarla
+    // ========================================================================
+    // Ejemplo con espera = 300:
+    // "m" "a" "r" "i" "a" (tecleado rápido) → UNA sola llamada, 300 ms
+    // después de la última letra
+    //
+    // Cada llamada reinicia el temporizador (clearTimeout + setTimeout)
+    // ========================================================================
+}
+
+const loadUsersDebounced = debounce(() => loadUsers(), 300);
+// ============================================================================
+// Búsqueda mientras se escribe
+// - Espera 300 ms sin teclear antes de pedir la lista
+// ============================================================================
+
+function setFilter(campo, valor) {
+    store.dispatch({ type: 'filtros/cambiados', filtros: { [campo]: valor } });
+    // ========================================================================
+    // Manejador de los filtros en index.html
+    // - setFilter('busqueda', this.value)  (oninput)
+    // - setFilter('tipo', this.value)      (onchange)
+    // - setFilter('activo', this.value)    (onchange)
+    // - setFilter('agrupar', this.value)   (onchange, "Agrupar por")
+    // ========================================================================
+}
+
+function renderFilters(filtros) {
+    document.getElementById('filter-search').value = filtros.busqueda;
+    document.getElementById('filter-tipo').value = filtros.tipo;
+    document.getElementById('filter-activo').value = filtros.activo;
+    document.getElementById('group-by').value = filtros.agrupar;
+    // ========================================================================
+    // Mantener los inputs iguales al estado
+    // (ej: tras clearFilters(), al abrir un enlace o al volver atrás)
+    // ========================================================================
+}
+
+function onListQueryChanged([filtros, orden, , limite], [filtrosAnteriores, ordenAnterior, , limiteAnterior]) {
+    if (ajustandoPagina) return;
+
+    tablaUsuarios.scrollToTop();
+    // ========================================================================
+    // Otra lista: empezar a verla desde arriba
+    // ========================================================================
+
+    const soloBusqueda = filtros.busqueda !== filtrosAnteriores.busqueda
+        && filtros.tipo === filtrosAnteriores.tipo
+        && filtros.activo === filtrosAnteriores.activo
+        && orden === ordenAnterior
+        && limite === limiteAnterior;
+    if (soloBusqueda) {
+        loadUsersDebounced();
     } else {
-        loading.classList.add('hidden');
+        loadUsers();
     }
+    // ========================================================================
+    // - Texto de búsqueda: con debounce (se dispara en cada tecla; que
+    //   además vuelva a la página 1 no cuenta como otro cambio)
+    // - Selects, orden, página o limpiar filtros: carga inmediata
+    // ========================================================================
 }
 
 function clearFilters() {
-    document.getElementById('filter-search').value = '';
-    document.getElementById('filter-tipo').value = '';
-    document.getElementById('filter-activo').value = '';
-    loadUsers();
+    store.dispatch({ type: 'filtros/cambiados', filtros: { busqueda: '', tipo: '', activo: '' } });
+}
+
+// ============================================================================
+// ORDENAMIENTO POR COLUMNAS
+// ============================================================================
+
+function handleSortClick(e) {
+    if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return;
+    const th = e.target.closest('th[data-orden]');
+    if (!th) return;
+    e.preventDefault();
+
+    const orden = toggleSort(selectOrden(store.getState()), th.dataset.orden, e.shiftKey);
+    store.dispatch({ type: 'orden/cambiado', orden });
+    // ========================================================================
+    // - Clic: ordenar solo por esta columna (otro clic invierte ▲ / ▼)
+    // - Shift+clic: agregar la columna como criterio de desempate
+    //   (ver toggleSort() en usersStore.js)
+    // ========================================================================
+}
+
+function renderSortHeaders(orden) {
+    document.querySelectorAll('#users-table th[data-orden]').forEach(th => {
+        const indice = orden.findIndex(o => o.campo === th.dataset.orden);
+        const criterio = indice === -1 ? null : orden[indice];
+
+        th.classList.toggle('sort-asc', criterio !== null && criterio.direccion === 'ASC');
+        th.classList.toggle('sort-desc', criterio !== null && criterio.direccion === 'DESC');
+        th.setAttribute('aria-sort', criterio === null
+            ? 'none'
+            : (criterio.direccion === 'ASC' ? 'ascending' : 'descending'));
+        th.dataset.prioridad = criterio !== null && orden.length > 1 ? indice + 1 : '';
+    });
+    // ========================================================================
+    // Indicadores en los encabezados
+    // - sort-asc / sort-desc: flecha ▲ / ▼ (CSS ::after)
+    // - data-prioridad: 1, 2, 3... cuando se ordena por varias columnas
+    // - aria-sort: lectores de pantalla anuncian el orden
+    // ========================================================================
+}
+
+function saveSortPreference(orden) {
+    try {
+        if (sameSort(orden, ORDEN_POR_DEFECTO)) {
+            localStorage.removeItem('usuarios:orden');
+        } else {
+            localStorage.setItem('usuarios:orden', formatSort(orden));
+        }
+    } catch (error) {
+        console.warn('No se pudo guardar el orden:', error.message);
+    }
+    // ========================================================================
+    // Recordar el orden preferido en este navegador (localStorage)
+    // - Se restaura al volver a abrir la página sin ?orden= en la URL
+    // ========================================================================
+}
+
+function loadSortPreference() {
+    try {
+        const guardado = localStorage.getItem('usuarios:orden');
+        return guardado ? parseSort(guardado) : ORDEN_POR_DEFECTO;
+    } catch (error) {
+        return ORDEN_POR_DEFECTO;
+    }
+}
+
+// ============================================================================
+// COLUMNAS CONFIGURABLES
+// ============================================================================
+
+function renderColumns(columnas) {
+    const visibles = selectColumnasVisibles(store.getState());
+    const fila = document.querySelector('#users-table thead tr');
+    const acciones = fila.querySelector('th.col-actions');
+
+    fila.querySelectorAll('th[data-columna]').forEach(th => th.remove());
+    visibles.forEach(clave => {
+        const { titulo, orden } = COLUMNAS_USUARIOS[clave];
+        const th = document.createElement('th');
+        th.textContent = titulo;
+        th.dataset.columna = clave;
+        th.draggable = true;
+        if (orden) {
+            th.className = 'sortable';
+            th.dataset.orden = orden;
+            th.tabIndex = 0;
+            th.setAttribute('aria-sort', 'none');
+        }
+        fila.insertBefore(th, acciones);
+    });
+    renderSortHeaders(selectOrden(store.getState()));
+    tablaUsuarios.setColumns(visibles.length + 2);
+    // ========================================================================
+    // Encabezados entre la casilla de selección y Acciones (fijas)
+    // - Los ordenables llevan data-orden (ver handleSortClick())
+    // - renderSortHeaders(): las flechas ▲ / ▼ van en los <th> nuevos
+    // - +2: casilla y Acciones (colspan de los spacers de VirtualTable)
+    // ========================================================================
+
+    const lista = document.getElementById('columns-list');
+    lista.textContent = '';
+    columnas.orden.forEach((clave, i) => {
+        const { titulo } = COLUMNAS_USUARIOS[clave];
+        const visible = !columnas.ocultas.includes(clave);
+        const item = document.createElement('li');
+
+        const label = document.createElement('label');
+        const casilla = document.createElement('input');
+        casilla.type = 'checkbox';
+        casilla.dataset.columna = clave;
+        casilla.checked = visible;
+        casilla.disabled = visible && visibles.length === 1;
+        label.append(casilla, ` ${titulo}`);
+        item.appendChild(label);
+        // ====================================================================
+        // La última columna visible no se puede ocultar
+        // ====================================================================
+
+        [['◀', -1, 'antes'], ['▶', 1, 'después']].forEach(([flecha, paso, lugar]) => {
+            const boton = document.createElement('button');
+            boton.type = 'button';
+            boton.className = 'btn-icon';
+            boton.textContent = flecha;
+            boton.dataset.columna = clave;
+            boton.dataset.destino = columnas.orden[i + paso] || '';
+            boton.disabled = !columnas.orden[i + paso];
+            boton.setAttribute('aria-label', `Mover ${titulo} ${lugar}`);
+            item.appendChild(boton);
+        });
+        lista.appendChild(item);
+    });
+    // ========================================================================
+    // Menú: TODAS las columnas (también las ocultas) en el orden actual
+    // ========================================================================
+}
+
+function handleColumnToggle(e) {
+    const casilla = e.target.closest('input[data-columna]');
+    if (!casilla) return;
+    store.dispatch({ type: 'columnas/visibilidad', clave: casilla.dataset.columna, visible: casilla.checked });
+}
+
+function handleColumnMove(e) {
+    const boton = e.target.closest('button[data-destino]');
+    if (!boton || boton.disabled) return;
+    store.dispatch({ type: 'columnas/movida', clave: boton.dataset.columna, destino: boton.dataset.destino });
+
+    const mismo = document.querySelector(`#columns-list button[data-columna="${boton.dataset.columna}"][aria-label="${boton.getAttribute('aria-label')}"]`);
+    if (mismo && !mismo.disabled) mismo.focus();
+    // ========================================================================
+    // El menú se vuelve a dibujar: el foco pasa al mismo botón en su nueva
+    // posición, así se puede seguir moviendo con Enter
+    // ========================================================================
+}
+
+function resetColumns() {
+    store.dispatch({ type: 'columnas/cambiadas', columnas: COLUMNAS_POR_DEFECTO });
+}
+
+function handleColumnDragStart(e) {
+    const th = e.target.closest('th[data-columna]');
+    if (!th) return;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', th.dataset.columna);
+    th.classList.add('column-dragging');
+}
+
+function handleColumnDragOver(e) {
+    const th = e.target.closest('th[data-columna]');
+    const arrastrada = document.querySelector('#users-table th.column-dragging');
+    if (!th || !arrastrada || th === arrastrada) return;
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    clearColumnDropTarget();
+    th.classList.add('column-drop-target');
+    // ========================================================================
+    // preventDefault() en dragover = "aquí se puede soltar"
+    // Solo encabezados de columna (no la casilla ni Acciones)
+    // ========================================================================
+}
+
+function handleColumnDrop(e) {
+    const th = e.target.closest('th[data-columna]');
+    if (!th) return;
+    e.preventDefault();
+    store.dispatch({ type: 'columnas/movida', clave: e.dataTransfer.getData('text/plain'), destino: th.dataset.columna });
+}
+
+function handleColumnDragEnd() {
+    document.querySelectorAll('#users-table th.column-dragging').forEach(th => th.classList.remove('column-dragging'));
+    clearColumnDropTarget();
+}
+
+function clearColumnDropTarget() {
+    document.querySelectorAll('#users-table th.column-drop-target').forEach(th => th.classList.remove('column-drop-target'));
+}
+
+function saveColumnPreference(columnas) {
+    try {
+        if (sameColumns(columnas, COLUMNAS_POR_DEFECTO)) {
+            localStorage.removeItem('usuarios:columnas');
+        } else {
+            localStorage.setItem('usuarios:columnas', JSON.stringify(columnas));
+        }
+    } catch (error) {
+        console.warn('No se pudieron guardar las columnas:', error.message);
+    }
+    // ========================================================================
+    // Igual que el orden: se recuerda en este navegador (localStorage)
+    // ========================================================================
+}
+
+function loadColumnPreference() {
+    try {
+        const guardado = localStorage.getItem('usuarios:columnas');
+        return guardado ? JSON.parse(guardado) : COLUMNAS_POR_DEFECTO;
+    } catch (error) {
+        return COLUMNAS_POR_DEFECTO;
+    }
+    // ========================================================================
+    // JSON inválido o columnas viejas: normalizeColumns() (reducer) las
+    // corrige al despachar columnas/cambiadas
+    // ========================================================================
+}
+
+// ============================================================================
+// PAGINACIÓN
+// ============================================================================
+
+function goToPage(pagina) {
+    const { paginas } = selectPaginacion(store.getState());
+    store.dispatch({ type: 'paginacion/pagina', pagina: Math.min(Math.max(pagina, 1), paginas) });
+}
+
+function setPageSize(limite) {
+    store.dispatch({ type: 'paginacion/limite', limite: Number(limite) });
+    // ========================================================================
+    // <select id="page-size" onchange="setPageSize(this.value)">
+    // - this.value es un string ("50") → Number()
+    // - Cambiar el tamaño vuelve a la página 1 (ver usersReducer)
+    // ========================================================================
+}
+
+function handlePaginationClick(e) {
+    const boton = e.target.closest('button[data-pagina]');
+    if (!boton || boton.disabled) return;
+    goToPage(Number(boton.dataset.pagina));
+}
+
+function receivePagination(data) {
+    const paginacion = data.paginacion || { pagina: 1, total: data.data.length, paginas: 1 };
+    // ========================================================================
+    // Sin ?limite= (Todos) get_users.php no devuelve paginación: el total
+    // es la cantidad de filas recibidas
+    // ========================================================================
+
+    ajustandoPagina = paginacion.pagina !== selectPaginacion(store.getState()).pagina;
+    try {
+        store.dispatch({ type: 'paginacion/recibida', paginacion });
+    } finally {
+        ajustandoPagina = false;
+    }
+    // ========================================================================
+    // Copiar al store la paginación que devolvió get_users.php
+    // (total, páginas y la página realmente servida)
+    // ========================================================================
+}
+
+function renderPagination({ pagina, limite, total, paginas }) {
+    const desde = total === 0 ? 0 : (pagina - 1) * limite + 1;
+    const hasta = limite > 0 ? Math.min(pagina * limite, total) : total;
+    document.getElementById('pagination-info').textContent = total === 0
+        ? 'Sin usuarios'
+        : `Mostrando ${desde}–${hasta} de ${total} usuario${total === 1 ? '' : 's'}`;
+    document.getElementById('page-size').value = String(limite);
+
+    const contenedor = document.getElementById('pagination-pages');
+    contenedor.textContent = '';
+    contenedor.classList.toggle('hidden', paginas <= 1);
+    if (paginas <= 1) return;
+
+    const boton = (texto, destino, etiqueta) => {
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.className = 'btn btn-secondary btn-page';
+        b.textContent = texto;
+        b.dataset.pagina = destino;
+        b.setAttribute('aria-label', etiqueta);
+        return b;
+    };
+
+    const anterior = boton('‹', pagina - 1, 'Página anterior');
+    anterior.disabled = pagina === 1;
+    contenedor.appendChild(anterior);
+
+    pageNumbers(pagina, paginas).forEach(numero => {
+        if (numero === null) {
+            const hueco = document.createElement('span');
+            hueco.className = 'page-gap';
+            hueco.textContent = '…';
+            contenedor.appendChild(hueco);
+            return;
+        }
+        const b = boton(String(numero), numero, `Página ${numero}`);
+        if (numero === pagina) {
+            b.classList.add('active');
+            b.setAttribute('aria-current', 'page');
+        }
+        contenedor.appendChild(b);
+    });
+
+    const siguiente = boton('›', pagina + 1, 'Página siguiente');
+    siguiente.disabled = pagina === paginas;
+    contenedor.appendChild(siguiente);
+    // ========================================================================
+    // Controles: ‹ 1 … 4 [5] 6 … 20 ›
+    // - Los números vienen del servidor (total y páginas de get_users.php)
+    // - data-pagina: destino de cada botón (ver handlePaginationClick)
+    // - aria-current="page": lectores de pantalla anuncian la página actual
+    // ========================================================================
+}
+
+/**
+ * Números de página a mostrar: primera, última y las vecinas de la actual.
+ * null marca un hueco ("…").
+ * pageNumbers(5, 20) → [1, null, 4, 5, 6, null, 20]
+ */
+function pageNumbers(pagina, paginas) {
+    const numeros = [];
+    for (let n = 1; n <= paginas; n++) {
+        if (n === 1 || n === paginas || Math.abs(n - pagina) <= 1) {
+            numeros.push(n);
+        } else if (numeros[numeros.length - 1] !== null) {
+            numeros.push(null);
+        }
+    }
+    return numeros;
+}
+
+// ============================================================================
+// SELECCIÓN Y ACCIONES MASIVAS
+// ============================================================================
+
+/**
+ * ¿Se puede marcar la fila para una acción masiva?
+ * No: altas sin id, altas optimistas ni filas con cambios en la cola offline.
+ */
+function isSelectable(fila) {
+    return fila.id !== null && !fila._optimista && !fila._pendiente;
+}
+
+function handleRowSelect(e) {
+    if (!e.target.matches('.row-select')) return;
+    const id = Number(e.target.closest('tr').dataset.id);
+
+    if (e.target.checked) {
+        const usuario = selectUsuarioPorId(store.getState(), id);
+        if (usuario) store.dispatch({ type: 'seleccion/agregada', usuarios: [usuario] });
+    } else {
+        store.dispatch({ type: 'seleccion/quitada', ids: [id] });
+    }
+}
+
+function handlePageSelect(e) {
+    const filas = selectFilas(store.getState()).filter(isSelectable);
+    if (e.target.checked) {
+        store.dispatch({ type: 'seleccion/agregada', usuarios: filas });
+    } else {
+        store.dispatch({ type: 'seleccion/quitada', ids: filas.map(u => u.id) });
+    }
+    // ========================================================================
+    // Solo la página visible; para todos los que cumplen los filtros está
+    // el enlace de la barra (selectAllMatching())
+    // ========================================================================
+}
+
+async function selectAllMatching() {
+    const { total } = selectPaginacion(store.getState());
+    if (total > MAXIMO_SELECCION) {
+        showNotification('warning', `⚠️ Las acciones masivas admiten hasta ${MAXIMO_SELECCION} usuarios: usa más filtros`);
+        return;
+    }
+
+    const filtros = store.getState().filtros;
+    const params = buildListParams();
+    params.delete('pagina');
+    params.delete('limite');
+    // ========================================================================
+    // Misma consulta que la tabla pero sin paginar: todos los usuarios que
+    // cumplen los filtros actuales, no solo los de esta página
+    // ========================================================================
+
+    try {
+        const data = await api.get('get_users.php', params);
+        if (store.getState().filtros !== filtros) return;
+        store.dispatch({ type: 'seleccion/agregada', usuarios: data.data });
+        // ====================================================================
+        // Si los filtros cambiaron mientras llegaba la respuesta, esa lista
+        // ya no corresponde a lo que se ve: se descarta
+        // ====================================================================
+    } catch (error) {
+        console.error('Error:', error);
+        showNotification('error', apiErrorMessage(error, 'Error al seleccionar usuarios'));
+    }
+}
+
+function clearSelection() {
+    store.dispatch({ type: 'seleccion/limpiada' });
+}
+
+function renderSelection([seleccion, , , total]) {
+    const cantidad = seleccion.length;
+    const ids = seleccion.map(u => u.id);
+    const filas = selectFilas(store.getState()).filter(isSelectable);
+    const marcadas = filas.filter(u => ids.includes(u.id)).length;
+
+    const casilla = document.getElementById('select-page');
+    casilla.disabled = filas.length === 0;
+    casilla.checked = filas.length > 0 && marcadas === filas.length;
+    casilla.indeterminate = marcadas > 0 && marcadas < filas.length;
+    // ========================================================================
+    // indeterminate: la casilla se ve "a medias" (—) cuando solo algunas
+    // filas de la página están seleccionadas (solo existe como propiedad,
+    // no hay atributo HTML)
+    // ========================================================================
+
+    document.getElementById('bulk-bar').classList.toggle('hidden', cantidad === 0);
+    document.getElementById('bulk-count').textContent = cantidad === 1
+        ? '1 usuario seleccionado'
+        : `${cantidad} usuarios seleccionados`;
+
+    const todos = document.getElementById('bulk-select-all');
+    todos.classList.toggle('hidden', cantidad === 0 || total <= cantidad);
+    todos.textContent = `Seleccionar los ${total} que cumplen los filtros`;
+}
+
+/**
+ * Cómo afecta cada acción masiva a un usuario.
+ * - cambios: campos que quedan distintos tras aplicarla
+ * - efecto / sinEfecto: textos del resumen de confirmación
+ */
+function describeBulkAction(accion, tipo) {
+    switch (accion) {
+        case 'activar':
+            return { titulo: 'Activar', cambios: { activo: true }, efecto: 'pasarán a Activo', sinEfecto: 'ya estaban activos' };
+        case 'desactivar':
+            return { titulo: 'Desactivar', cambios: { activo: false }, efecto: 'pasarán a Inactivo', sinEfecto: 'ya estaban inactivos' };
+        case 'eliminar':
+            return { titulo: 'Eliminar', cambios: { activo: false }, efecto: 'se eliminarán (quedan inactivos)', sinEfecto: 'ya estaban eliminados o inactivos' };
+        case 'tipo':
+            return {
+                titulo: `Cambiar a ${tipo === 'admin' ? 'Admin' : 'Normal'}`,
+                cambios: { tipo_usuario: tipo },
+                efecto: `pasarán a ${tipo === 'admin' ? '🔑 Admin' : '👤 Normal'}`,
+                sinEfecto: `ya eran ${tipo === 'admin' ? 'Admin' : 'Normal'}`
+            };
+        default:
+            return null;
+    }
+    // ========================================================================
+    // "Eliminar" es un soft delete (activo = 0), igual que delete_user.php
+    // ========================================================================
+}
+
+async function runBulkAction(accion, tipo = null) {
+    // ========================================================================
+    // FUNCIÓN: runBulkAction()
+    // OPERACIÓN: Activar / desactivar / eliminar / cambiar tipo de VARIOS
+    // usuarios con una sola petición (bulk_users.php)
+    // ========================================================================
+
+    const descripcion = describeBulkAction(accion, tipo);
+    if (!descripcion) return;
+
+    const state = store.getState();
+    const seleccionados = selectSeleccion(state).map(u => selectUsuarioPorId(state, u.id) || u);
+    const cambia = (u) => Object.entries(descripcion.cambios)
+        .some(([campo, valor]) => (campo === 'activo' ? Boolean(u.activo) !== valor : u[campo] !== valor));
+    const afectados = seleccionados.filter(cambia);
+    const sinCambios = seleccionados.length - afectados.length;
+    // ========================================================================
+    // Versión más reciente de cada usuario (la de la tabla si está en la
+    // página; si no, la copia guardada al seleccionarlo)
+    // activo llega como 1/0 o true/false: se compara con Boolean()
+    // Solo se envían los que REALMENTE cambian: activar a un usuario ya
+    // activo no hace nada
+    // ========================================================================
+
+    if (afectados.length === 0) {
+        showNotification('warning', `⚠️ ${descripcion.titulo}: ningún usuario seleccionado cambiaría`);
+        return;
+    }
+
+    const resumen = [`${descripcion.titulo} ${seleccionados.length} usuario${seleccionados.length === 1 ? '' : 's'} seleccionado${seleccionados.length === 1 ? '' : 's'}:`];
+    resumen.push(`• ${afectados.length} ${descripcion.efecto}`);
+    if (sinCambios > 0) resumen.push(`• ${sinCambios} ${descripcion.sinEfecto} (sin cambios)`);
+    if (!confirm(`${resumen.join('\n')}\n\n¿Continuar?`)) return;
+    // ========================================================================
+    // UNA sola confirmación con el efecto total, por ejemplo:
+    //
+    //   Desactivar 12 usuarios seleccionados:
+    //   • 9 pasarán a Inactivo
+    //   • 3 ya estaban inactivos (sin cambios)
+    //
+    //   ¿Continuar?
+    // ========================================================================
+
+    const barra = document.getElementById('bulk-bar');
+    barra.setAttribute('aria-busy', 'true');
+    barra.querySelectorAll('button, select').forEach(control => { control.disabled = true; });
+
+    try {
+        const data = await trackMutation(api.post('bulk_users.php', {
+            accion,
+            tipo_usuario: tipo,
+            usuarios: afectados.map(u => ({ id: u.id, fecha_actualizacion: u.fecha_actualizacion }))
+        }));
+        // ====================================================================
+        // fecha_actualizacion de cada usuario: si otra persona lo cambió
+        // después de seleccionarlo, el servidor no lo pisa (conflicto)
+        // ====================================================================
+
+        const resultados = data.data.resultados.map(r => ({
+            ...r,
+            usuario: afectados.find(u => u.id === Number(r.id)) || { nombre: `#${r.id}`, email: '' }
+        }));
+        const exitosos = resultados.filter(r => r.success);
+        const fallidos = resultados.filter(r => !r.success);
+
+        exitosos.forEach(({ usuario, data: guardado }) => {
+            mergeUser(usuario.id, guardado);
+            tabSync.publish(accion === 'eliminar'
+                ? { accion: 'delete', id: usuario.id, antes: usuario, despues: guardado }
+                : { accion: 'update', antes: usuario, despues: guardado });
+        });
+        fallidos.filter(r => r.conflicto && r.data).forEach(({ data: actual }) => {
+            mergeUser(actual.id, actual);
+            store.dispatch({ type: 'seleccion/quitada', ids: [actual.id] });
+            store.dispatch({ type: 'seleccion/agregada', usuarios: [actual] });
+        });
+        // ====================================================================
+        // - Exitosos: la tabla muestra la nueva versión y las otras
+        //   pestañas reciben el cambio
+        // - Conflictos: se muestra (y se selecciona) la versión actual, así
+        //   repetir la acción ya no choca con la fecha vieja
+        // ====================================================================
+
+        updateStats(data.stats);
+        usersCache.invalidate();
+        highlightRows(exitosos.map(r => r.usuario.id));
+        const idsFallidos = fallidos.map(r => Number(r.id));
+        store.dispatch({
+            type: 'seleccion/quitada',
+            ids: seleccionados.map(u => u.id).filter(id => !idsFallidos.includes(id))
+        });
+        loadUsers();
+        // ====================================================================
+        // Los aplicados y los que no necesitaban cambios salen de la
+        // selección; solo los fallidos quedan marcados
+        // loadUsers(): la página y los totales exactos tras el cambio
+        // ====================================================================
+
+        if (fallidos.length === 0) {
+            showNotification('success', `✅ ${descripcion.titulo}: ${exitosos.length} usuario${exitosos.length === 1 ? '' : 's'} actualizado${exitosos.length === 1 ? '' : 's'}`);
+        } else {
+            await BulkReportDialog.open({ titulo: descripcion.titulo, resultados });
+        }
+
+    } catch (error) {
+        console.error('Error:', error);
+        showNotification('error', apiErrorMessage(error, `Error en la acción "${descripcion.titulo}"`));
+        // ====================================================================
+        // La petición entera falló (red, validación): no se aplicó nada y
+        // la selección queda igual para reintentar
+        // ====================================================================
+
+    } finally {
+        barra.removeAttribute('aria-busy');
+        barra.querySelectorAll('button, select').forEach(control => { control.disabled = false; });
+    }
+}
+
+// ============================================================================
+// HISTORIAL DE NOTIFICACIONES (fila expandible)
+// ============================================================================
+
+const CANALES_NOTIFICACION = {
+    email: '📧 Email',
+    sms: '📱 SMS',
+    push: '🔔 Push'
+};
+// ============================================================================
+// CONSTANTE CANALES_NOTIFICACION - Los tres tipos de logs_notificaciones
+// (mismos valores que NotificationLogRepository::TIPOS)
+// ============================================================================
+
+function handleDetailClick(e) {
+    const boton = e.target.closest('button');
+    if (!boton) return;
+
+    if (boton.dataset.detalle) {
+        toggleUserDetail(Number(boton.dataset.detalle));
+    } else if (boton.dataset.canal !== undefined) {
+        const id = Number(boton.closest('tr').dataset.detalleDe);
+        loadNotifications(id, boton.dataset.canal);
+    } else if (boton.dataset.notificacionesMas) {
+        const id = Number(boton.closest('tr').dataset.detalleDe);
+        const notificaciones = selectNotificaciones(store.getState(), id);
+        loadNotifications(id, notificaciones.tipo, notificaciones.paginacion.pagina + 1);
+    } else if (boton.dataset.notificacionesReintentar) {
+        const id = Number(boton.closest('tr').dataset.detalleDe);
+        const notificaciones = selectNotificaciones(store.getState(), id);
+        loadNotifications(id, notificaciones.tipo, notificaciones.paginacion ? notificaciones.paginacion.pagina + 1 : 1);
+    }
+    // ========================================================================
+    // Un solo listener en <tbody> (delegación): los botones se crean y
+    // quitan con cada render de VirtualTable
+    // Reintentar: la misma página que falló (la siguiente a la última
+    // recibida, o la primera)
+    // ========================================================================
+}
+
+function toggleUserDetail(id) {
+    store.dispatch({ type: 'detalle/alternado', id });
+
+    const notificaciones = selectNotificaciones(store.getState(), id);
+    if (store.getState().filasExpandidas.includes(id) && (!notificaciones || notificaciones.estado === 'error')) {
+        loadNotifications(id);
+    }
+    // ========================================================================
+    // Carga diferida: el historial se pide la primera vez que se abre la
+    // fila (o si falló); al cerrarla y volver a abrirla se muestra el
+    // que ya se recibió
+    // ========================================================================
+}
+
+async function loadNotifications(id, tipo = '', pagina = 1) {
+    const notificaciones = selectNotificaciones(store.getState(), id);
+    if (notificaciones && notificaciones.estado === 'cargando' && notificaciones.tipo === tipo) return;
+    // ========================================================================
+    // Doble clic en "Ver más" o en el mismo canal: ya hay una petición
+    // en curso para esa lista
+    // ========================================================================
+
+    store.dispatch({ type: 'notificaciones/pedidas', id, tipo, pagina });
+
+    try {
+        const data = await api.get('get_notifications.php', { usuario_id: id, tipo, pagina });
+        store.dispatch({
+            type: 'notificaciones/recibidas',
+            id,
+            tipo,
+            notificaciones: data.data,
+            conteo: data.conteo,
+            paginacion: data.paginacion
+        });
+        // ====================================================================
+        // El reducer descarta la respuesta si mientras tanto se eligió
+        // otro canal
+        // ====================================================================
+
+    } catch (error) {
+        console.error('Error:', error);
+        store.dispatch({
+            type: 'notificaciones/fallidas',
+            id,
+            tipo,
+            error: apiErrorMessage(error, 'No se pudo cargar el historial')
+        });
+    }
+}
+
+function renderDetailRow(usuario) {
+    // ========================================================================
+    // FUNCIÓN: renderDetailRow()
+    // PROPÓSITO: Fila con el historial de notificaciones de un usuario
+    // (va justo debajo de su fila, ver selectFilasTabla())
+    // ========================================================================
+
+    const state = store.getState();
+    const notificaciones = selectNotificaciones(state, usuario.id)
+        || { tipo: '', estado: 'cargando', lista: [], conteo: null, paginacion: null, error: null };
+    const { tipo, estado, lista, conteo, paginacion, error } = notificaciones;
+
+    const canales = [['', 'Todos'], ...Object.entries(CANALES_NOTIFICACION)].map(([canal, titulo]) => html`
+                    <button type="button" class="btn-chip" data-canal="${canal}" aria-pressed="${tipo === canal ? 'true' : 'false'}">
+                        ${titulo}${conteo ? ` (${conteo[canal || 'total']})` : ''}
+                    </button>`);
+    // ========================================================================
+    // Los números salen de conteo (todos los canales, sin importar el
+    // filtro): se ve cuántas hay en cada uno antes de elegirlo
+    // ========================================================================
+
+    const filas = lista.map(n => html`
+                        <tr>
+                            <td>${CANALES_NOTIFICACION[n.tipo_notificacion] || n.tipo_notificacion}</td>
+                            <td class="notification-message">${n.mensaje}</td>
+                            <td>${n.enviado
+                                ? html`<span class="badge badge-active">✅ Enviado</span>`
+                                : html`<span class="badge badge-inactive">❌ Falló</span>`}</td>
+                            <td>${formatDateTime(n.fecha_envio)}</td>
+                        </tr>`);
+
+    let pie = null;
+    if (estado === 'cargando') {
+        pie = html`<p class="detail-status" role="status">⏳ Cargando historial...</p>`;
+    } else if (estado === 'error') {
+        pie = html`<p class="detail-status detail-error" role="alert">${error}
+                    <button type="button" class="btn-link" data-notificaciones-reintentar="1">Reintentar</button></p>`;
+    } else if (lista.length === 0) {
+        pie = html`<p class="detail-status">${tipo
+            ? `Sin notificaciones por ${CANALES_NOTIFICACION[tipo]}`
+            : 'Este usuario todavía no recibió notificaciones'}</p>`;
+    } else if (paginacion.pagina < paginacion.paginas) {
+        pie = html`<button type="button" class="btn btn-secondary" data-notificaciones-mas="1">
+                    Ver más (${lista.length} de ${paginacion.total})
+                </button>`;
+    }
+
+    return html`
+        <tr class="row-detail" id="detalle-${usuario.id}" data-detalle-de="${usuario.id}">
+            <td colspan="${selectColumnasVisibles(state).length + 2}">
+                <section class="detail-panel" aria-label="Notificaciones de ${usuario.nombre}">
+                    <div class="detail-header">
+                        <h4>🔔 Notificaciones de ${usuario.nombre}</h4>
+                        <div class="detail-channels" role="group" aria-label="Filtrar por canal">${canales}
+                        </div>
+                    </div>
+                    ${lista.length > 0 ? html`<table class="notifications-table">
+                        <thead>
+                            <tr><th>Canal</th><th>Mensaje</th><th>Estado</th><th>Fecha de envío</th></tr>
+                        </thead>
+                        <tbody>${filas}
+                        </tbody>
+                    </table>` : null}
+                    ${pie}
+                </section>
+            </td>
+        </tr>
+    `;
+    // ========================================================================
+    // - colspan: ocupa todo el ancho (columnas visibles + selección + acciones)
+    // - El mensaje va escapado como el resto de los datos: lo escribió el
+    //   servidor, pero puede incluir el nombre del usuario
+    // - Sin data-id: las funciones de fila (selección, edición en línea)
+    //   no la confunden con un usuario
+    // ========================================================================
+}
+
+// ============================================================================
+// AGRUPACIÓN (tipo, estado, dominio del email o mes de creación)
+// ============================================================================
+
+function receiveGroups(data) {
+    store.dispatch({ type: 'grupos/recibidos', grupos: data.grupos });
+    // ========================================================================
+    // Totales por grupo que devolvió get_users.php (null sin ?agrupar=)
+    // ========================================================================
+}
+
+/**
+ * Texto del encabezado de un grupo: 'admin' → '🔑 Administradores'
+ */
+function groupLabel(agrupar, clave) {
+    switch (agrupar) {
+        case 'tipo_usuario':
+            return clave === 'admin' ? '🔑 Administradores' : '👤 Normales';
+        case 'activo':
+            return clave === '1' ? '✅ Activos' : '⛔ Inactivos';
+        case 'dominio':
+            return `@${clave}`;
+        case 'mes': {
+            const texto = new Date(`${clave}-01T00:00:00`).toLocaleDateString('es-ES', {
+                month: 'long',
+                year: 'numeric'
+            });
+            return `📅 ${texto.charAt(0).toUpperCase()}${texto.slice(1)}`;
+            // ================================================================
+            // '2024-01' → 'Enero de 2024'
+            // ================================================================
+        }
+        default:
+            return clave;
+    }
+}
+
+function renderGroupRow({ clave, total, enPagina, colapsado }) {
+    // ========================================================================
+    // FUNCIÓN: renderGroupRow()
+    // PROPÓSITO: Encabezado de un grupo (lo llama VirtualTable como a
+    // cualquier otra fila, ver selectFilasTabla())
+    // ========================================================================
+
+    const state = store.getState();
+    const cantidad = `${total} usuario${total === 1 ? '' : 's'}`;
+    const enEstaPagina = enPagina < total ? ` · ${enPagina} en esta página` : '';
+
+    return html`
+        <tr class="row-group">
+            <td colspan="${selectColumnasVisibles(state).length + 2}">
+                <button type="button" class="group-toggle" data-grupo="${clave}" aria-expanded="${colapsado ? 'false' : 'true'}">
+                    <span aria-hidden="true">${colapsado ? '▸' : '▾'}</span>
+                    ${groupLabel(state.filtros.agrupar, clave)}
+                </button>
+                <span class="group-count">${cantidad}${enEstaPagina}</span>
+            </td>
+        </tr>
+    `;
+    // ========================================================================
+    // - El total viene del servidor (todas las páginas con los filtros
+    //   actuales); "en esta página" aclara cuando el grupo sigue en otra
+    // - La clave (ej: un dominio) va escapada como cualquier dato
+    // ========================================================================
+}
+
+function handleGroupClick(e) {
+    const boton = e.target.closest('.group-toggle');
+    if (!boton) return;
+    store.dispatch({ type: 'grupos/alternado', clave: boton.dataset.grupo });
+    // ========================================================================
+    // Colapsar solo oculta las filas en la tabla: los usuarios siguen
+    // en la página (y en la selección, si estaban marcados)
+    // ========================================================================
+}
+
+// ============================================================================
+// VISTA DE TARJETAS (pantallas chicas)
+// ============================================================================
+
+function setViewMode(vista) {
+    store.dispatch({ type: 'vista/preferida', vista });
+    // ========================================================================
+    // Manejador del <select> "Vista": auto | tabla | tarjetas
+    // ========================================================================
+}
+
+function renderViewMode([actual, preferida]) {
+    const tarjetas = actual === 'tarjetas';
+    document.getElementById('users-table').classList.toggle('view-cards', tarjetas);
+    document.querySelector('.columns-menu').classList.toggle('hidden', tarjetas);
+    document.getElementById('view-mode').value = preferida;
+    // ========================================================================
+    // - view-cards oculta el <thead> (las tarjetas no tienen columnas)
+    // - El menú "⚙️ Columnas" solo tiene sentido en la tabla
+    // - Las filas se vuelven a dibujar solas: la suscripción de la tabla
+    //   incluye la vista actual
+    // ========================================================================
+}
+
+function saveViewPreference(vista) {
+    try {
+        if (vista === 'auto') {
+            localStorage.removeItem('usuarios:vista');
+        } else {
+            localStorage.setItem('usuarios:vista', vista);
+        }
+    } catch (error) {
+        console.warn('No se pudo guardar la vista:', error.message);
+    }
+    // ========================================================================
+    // Igual que las columnas: se recuerda en este navegador
+    // ========================================================================
+}
+
+function loadViewPreference() {
+    try {
+        return localStorage.getItem('usuarios:vista') || 'auto';
+    } catch (error) {
+        return 'auto';
+    }
+    // ========================================================================
+    // Un valor desconocido lo descarta el reducer (vista/preferida → auto)
+    // ========================================================================
+}
+
+function handleSwipeStart(e) {
+    if (e.pointerType !== 'touch') return;
+
+    const tarjeta = e.target.closest('.user-card');
+    if (!tarjeta || e.target.closest('button, input, select')) return;
+
+    const id = Number(tarjeta.closest('tr').dataset.id);
+    const usuario = selectUsuarioPorId(store.getState(), id);
+    if (!usuario || !isSelectable(usuario) || selectEdicionEnLinea(store.getState())) return;
+    // ========================================================================
+    // - Solo dedo (pointerType 'touch'): con mouse se usan los botones
+    // - No empieza sobre un control (la casilla, los botones) ni mientras
+    //   se edita algo en línea
+    // - Mismas filas que se pueden seleccionar: nada de altas pendientes
+    // ========================================================================
+
+    gestoTarjeta = { tarjeta, id, x: e.clientX, y: e.clientY, dx: 0, horizontal: null };
+}
+
+function handleSwipeMove(e) {
+    if (!gestoTarjeta) return;
+
+    const dx = e.clientX - gestoTarjeta.x;
+    const dy = e.clientY - gestoTarjeta.y;
+
+    if (gestoTarjeta.horizontal === null) {
+        if (Math.abs(dx) < 10 && Math.abs(dy) < 10) return;
+        gestoTarjeta.horizontal = Math.abs(dx) > Math.abs(dy);
+        if (!gestoTarjeta.horizontal) {
+            gestoTarjeta = null;
+            return;
+        }
+        gestoTarjeta.tarjeta.setPointerCapture(e.pointerId);
+        gestoTarjeta.tarjeta.classList.add('swiping');
+    }
+    // ========================================================================
+    // Los primeros 10px deciden la dirección:
+    // - Vertical → es scroll de la lista: el gesto se abandona
+    // - Horizontal → la tarjeta sigue al dedo; setPointerCapture hace que
+    //   los eventos sigan llegando aunque el dedo salga de la tarjeta
+    // (touch-action: pan-y en CSS: el navegador solo se queda con el
+    // desplazamiento vertical)
+    // ========================================================================
+
+    const limite = DESLIZAR_UMBRAL * 1.5;
+    gestoTarjeta.dx = Math.max(-limite, Math.min(limite, dx));
+
+    const { tarjeta } = gestoTarjeta;
+    tarjeta.style.setProperty('--deslizar', `${gestoTarjeta.dx}px`);
+    tarjeta.classList.toggle('swipe-edit', gestoTarjeta.dx > 0);
+    tarjeta.classList.toggle('swipe-delete', gestoTarjeta.dx < 0);
+    tarjeta.classList.toggle('swipe-ready', Math.abs(gestoTarjeta.dx) >= DESLIZAR_UMBRAL);
+    // ========================================================================
+    // --deslizar mueve .card-body (transform en CSS) y deja ver debajo el
+    // aviso ✏️ Editar (→) o 🗑️ Eliminar (←); swipe-ready lo resalta cuando
+    // soltar ya ejecuta la acción
+    // ========================================================================
+}
+
+function handleSwipeEnd(e) {
+    if (!gestoTarjeta) return;
+
+    const { tarjeta, id, dx, horizontal } = gestoTarjeta;
+    gestoTarjeta = null;
+    if (!horizontal) return;
+
+    tarjeta.classList.remove('swiping', 'swipe-edit', 'swipe-delete', 'swipe-ready');
+    tarjeta.style.removeProperty('--deslizar');
+    // ========================================================================
+    // La tarjeta vuelve a su lugar con la transición de .card-body
+    // ========================================================================
+
+    if (e.type === 'pointercancel') return;
+    if (dx >= DESLIZAR_UMBRAL) {
+        editUser(id);
+    } else if (dx <= -DESLIZAR_UMBRAL) {
+        deleteUser(id);
+    }
+    // ========================================================================
+    // → editar (formulario) / ← eliminar (pide confirmación como el
+    // botón 🗑️). Menos que el umbral: solo se suelta la tarjeta
+    // ========================================================================
 }
 
 // ============================================================================
@@ -779,7 +3297,8 @@ function clearFilters() {
 // - .value (leer/escribir inputs)
 //
 // HTTP / API:
-// - fetch() (peticiones HTTP)
+// - ApiClient (capa única sobre fetch())
+// - ApiError (error uniforme por tipo)
 // - Métodos: GET, POST, PUT, DELETE
 // - Headers y Content-Type
 // - JSON.stringify() / response.json()
@@ -796,7 +3315,7 @@ function clearFilters() {
 // - preventDefault()
 //
 // PATRONES:
-// - Observer (estadísticas)
+// - Observer (store: la interfaz se suscribe al estado)
 // - Strategy (validación)
 // - Template Method (renderizado)
 //
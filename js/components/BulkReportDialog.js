@@ -0,0 +1,103 @@
+// ============================================================================
+// ARCHIVO: BulkReportDialog.js
+// UBICACIÓN: js/components/BulkReportDialog.js
+// PROPÓSITO: Informe usuario por usuario de una acción masiva con fallos
+// ============================================================================
+//
+// DESCRIPCIÓN GENERAL:
+// bulk_users.php aplica la acción a cada usuario por separado: algunos
+// pueden fallar (ya no existen, otra persona los modificó) mientras el
+// resto se guarda. Un toast "3 de 5 desactivados" no dice CUÁLES
+// fallaron ni por qué; este diálogo lo muestra:
+//
+//   ⚠️ Desactivar: 3 de 5 aplicados
+//   ──────────────────────────────────────────────
+//   ✅ Ana García        ana@email.com
+//   ❌ Juan Pérez        juan@email.com
+//      Otra persona lo modificó después de seleccionarlo
+//   ✅ ...
+//
+// Los usuarios que fallaron siguen seleccionados: se puede revisar y
+// repetir la acción solo sobre ellos.
+//
+// TECNOLOGÍAS:
+// - <dialog> nativo de HTML5 (showModal / close)
+// - Promise: open() se resuelve al cerrar
+// - DOM con createElement/textContent (sin innerHTML: nombres y emails
+//   vienen de la base de datos)
+// ============================================================================
+
+class BulkReportDialog {
+    /**
+     * ========================================================================
+     * MÉTODO ESTÁTICO: open()
+     * ========================================================================
+     * PARÁMETROS:
+     * - titulo:     Ej: 'Desactivar'
+     * - resultados: [{ usuario, success, error }, ...]
+     *
+     * DEVUELVE: Promise que se resuelve al cerrar el diálogo
+     * ========================================================================
+     */
+    static open({ titulo, resultados }) {
+        return new Promise(resolve => {
+            const exitosos = resultados.filter(r => r.success).length;
+
+            const dialog = document.createElement('dialog');
+            dialog.className = 'bulk-report-dialog';
+
+            const encabezado = document.createElement('h3');
+            encabezado.textContent = `⚠️ ${titulo}: ${exitosos} de ${resultados.length} aplicados`;
+            const aviso = document.createElement('p');
+            aviso.textContent = 'Los usuarios que fallaron siguen seleccionados para '
+                + 'que puedas revisarlos y volver a intentarlo.';
+            dialog.append(encabezado, aviso);
+
+            const lista = document.createElement('ul');
+            lista.className = 'bulk-report-list';
+            [...resultados]
+                .sort((a, b) => Number(a.success) - Number(b.success))
+                .forEach(({ usuario, success, error }) => {
+                    const item = document.createElement('li');
+                    item.textContent = `${success ? '✅' : '❌'} ${usuario.nombre} — ${usuario.email}`;
+                    if (!success) {
+                        const motivo = document.createElement('span');
+                        motivo.className = 'bulk-report-error';
+                        motivo.textContent = error;
+                        item.appendChild(motivo);
+                    }
+                    lista.appendChild(item);
+                });
+            // ================================================================
+            // Fallidos primero: son los que requieren atención
+            // ================================================================
+            dialog.appendChild(lista);
+
+            const acciones = document.createElement('div');
+            acciones.className = 'form-actions';
+            const cerrar = document.createElement('button');
+            cerrar.type = 'button';
+            cerrar.className = 'btn btn-primary';
+            cerrar.textContent = 'Entendido';
+            acciones.appendChild(cerrar);
+            dialog.appendChild(acciones);
+
+            const terminar = () => {
+                dialog.close();
+                dialog.remove();
+                resolve();
+            };
+            cerrar.addEventListener('click', terminar);
+            dialog.addEventListener('cancel', (e) => {
+                e.preventDefault();
+                terminar();
+            });
+            // ================================================================
+            // Tecla Escape (evento 'cancel') = Entendido
+            // ================================================================
+
+            document.body.appendChild(dialog);
+            dialog.showModal();
+        });
+    }
+}
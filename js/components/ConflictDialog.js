@@ -0,0 +1,137 @@
+// ============================================================================
+// ARCHIVO: ConflictDialog.js
+// UBICACIÓN: js/components/ConflictDialog.js
+// PROPÓSITO: Diálogo para resolver conflictos de edición concurrente
+// ============================================================================
+//
+// DESCRIPCIÓN GENERAL:
+// Si dos administradores abren el mismo usuario y ambos guardan, el segundo
+// recibe un 409 de update_user.php (su fecha_actualizacion ya no coincide).
+// Este diálogo muestra, campo por campo:
+//
+//   Campo   │ Tu versión          │ Versión actual (servidor)
+//   ────────┼─────────────────────┼──────────────────────────
+//   Nombre  │ ◉ Juan Pérez López  │ ○ Juan Pérez
+//   Email   │ ○ juan@email.com    │ ◉ juan.perez@empresa.com   ← distinto
+//   Tipo    │   normal (igual)    │   normal
+//
+// y deja elegir:
+// - "Guardar combinación": Un valor por campo (radio buttons)
+// - "Sobrescribir con mi versión": Todos los campos propios
+// - "Descartar mis cambios": Quedarse con la versión del servidor
+//
+// TECNOLOGÍAS:
+// - <dialog> nativo de HTML5 (showModal / close)
+// - Promise: open() devuelve la decisión del usuario
+// - DOM con createElement/textContent (sin innerHTML: los datos vienen
+//   de otros usuarios y no deben interpretarse como HTML)
+// ============================================================================
+
+class ConflictDialog {
+    /**
+     * ========================================================================
+     * MÉTODO ESTÁTICO: open()
+     * ========================================================================
+     * PARÁMETROS:
+     * - mio:      Datos que el usuario intentó guardar
+     * - servidor: Registro actual devuelto por el 409
+     * - campos:   [{ clave: 'nombre', etiqueta: 'Nombre' }, ...]
+     *
+     * DEVUELVE: Promise que se resuelve con
+     * - { accion: 'merge' | 'overwrite', datos }  → datos a reenviar
+     * - { accion: 'discard', datos: servidor }    → no reenviar
+     * ========================================================================
+     */
+    static open({ mio, servidor, campos }) {
+        return new Promise(resolve => {
+            const dialog = document.createElement('dialog');
+            dialog.className = 'conflict-dialog';
+
+            const titulo = document.createElement('h3');
+            titulo.textContent = '⚠️ Conflicto de edición';
+            const aviso = document.createElement('p');
+            aviso.textContent = 'Otra persona modificó este usuario mientras lo editabas. '
+                + 'Elige qué valor conservar en cada campo.';
+            dialog.append(titulo, aviso);
+
+            const tabla = document.createElement('table');
+            const encabezado = tabla.createTHead().insertRow();
+            ['Campo', 'Tu versión', 'Versión actual'].forEach(texto => {
+                const th = document.createElement('th');
+                th.textContent = texto;
+                encabezado.appendChild(th);
+            });
+
+            const cuerpo = tabla.createTBody();
+            campos.forEach(({ clave, etiqueta }) => {
+                const fila = cuerpo.insertRow();
+                const distinto = String(mio[clave]) !== String(servidor[clave]);
+                if (distinto) fila.className = 'conflict-diff';
+                fila.insertCell().textContent = etiqueta;
+
+                [['mio', mio[clave]], ['servidor', servidor[clave]]].forEach(([origen, valor]) => {
+                    const celda = fila.insertCell();
+                    const label = document.createElement('label');
+                    if (distinto) {
+                        const radio = document.createElement('input');
+                        radio.type = 'radio';
+                        radio.name = `conflicto-${clave}`;
+                        radio.value = origen;
+                        radio.checked = origen === 'mio';
+                        label.appendChild(radio);
+                    }
+                    label.appendChild(document.createTextNode(` ${valor}`));
+                    celda.appendChild(label);
+                });
+                // ============================================================
+                // Solo los campos DISTINTOS tienen radio buttons
+                // Por defecto se marca "Tu versión"
+                // ============================================================
+            });
+            dialog.appendChild(tabla);
+
+            const acciones = document.createElement('div');
+            acciones.className = 'form-actions';
+
+            const cerrar = (resultado) => {
+                dialog.close();
+                dialog.remove();
+                resolve(resultado);
+            };
+
+            const combinar = () => {
+                const datos = { ...mio };
+                campos.forEach(({ clave }) => {
+                    const elegido = dialog.querySelector(`input[name="conflicto-${clave}"]:checked`);
+                    if (elegido && elegido.value === 'servidor') datos[clave] = servidor[clave];
+                });
+                return datos;
+            };
+
+            [
+                ['btn btn-primary', '🔀 Guardar combinación', () => cerrar({ accion: 'merge', datos: combinar() })],
+                ['btn btn-warning', '✍️ Sobrescribir con mi versión', () => cerrar({ accion: 'overwrite', datos: { ...mio } })],
+                ['btn btn-secondary', '↩️ Descartar mis cambios', () => cerrar({ accion: 'discard', datos: servidor })]
+            ].forEach(([clase, texto, onClick]) => {
+                const boton = document.createElement('button');
+                boton.type = 'button';
+                boton.className = clase;
+                boton.textContent = texto;
+                boton.addEventListener('click', onClick);
+                acciones.appendChild(boton);
+            });
+            dialog.appendChild(acciones);
+
+            dialog.addEventListener('cancel', (e) => {
+                e.preventDefault();
+                cerrar({ accion: 'discard', datos: servidor });
+            });
+            // ================================================================
+            // Tecla Escape (evento 'cancel') = descartar mis cambios
+            // ================================================================
+
+            document.body.appendChild(dialog);
+            dialog.showModal();
+        });
+    }
+}
@@ -0,0 +1,468 @@
+// ============================================================================
+// ARCHIVO: VirtualTable.js
+// UBICACIÓN: js/components/VirtualTable.js
+// PROPÓSITO: Tabla con scroll virtual (solo existen en el DOM las filas visibles)
+// ============================================================================
+//
+// DESCRIPCIÓN GENERAL:
+// renderUsersTable() armaba UN string con todas las filas y lo asignaba a
+// innerHTML. Con "Por página: Todos" y miles de usuarios, el navegador
+// tenía que crear y medir decenas de miles de nodos: la pestaña se
+// congelaba. VirtualTable dibuja solo la "ventana" de filas que se ve
+// dentro del contenedor con scroll, más un margen arriba y abajo:
+//
+//   ┌──────────────────────────┐
+//   │ <tr spacer  height=7300> │ ← Filas 0..99 (no existen, solo ocupan alto)
+//   ├──────────────────────────┤
+//   │ <tr> fila 100            │ ┐
+//   │ <tr> fila 101            │ │ Ventana visible + margen
+//   │ ...                      │ │ (~30 filas en el DOM)
+//   │ <tr> fila 130            │ ┘
+//   ├──────────────────────────┤
+//   │ <tr spacer height=...>   │ ← Filas 131..9999
+//   └──────────────────────────┘
+//
+// Los "spacers" mantienen el alto total de la tabla, así la barra de
+// scroll tiene el tamaño y la posición correctos.
+//
+// FILAS CON CLAVE (user.id):
+// ============================================================================
+// Cada <tr> dibujado se guarda por su clave. Al volver a dibujar:
+// - Fila igual que antes       → no se toca (conserva foco y hover)
+// - Fila con datos cambiados   → se actualizan solo los nodos distintos
+// - Fila nueva en la lista     → se crea con la clase row-enter (aparece)
+// - Fila que salió de la lista → clase row-leave y se quita al terminar
+//                                la transición
+// - Fila que solo salió de la ventana por el scroll → se quita sin animar
+//
+// FILAS DE ALTO VARIABLE:
+// ============================================================================
+// Las filas comunes miden todas lo mismo (alturaFila). Las que marca
+// alturaVariable (ej: el panel de detalle de un usuario expandido) se
+// miden una por una al dibujarlas y su alto se guarda por clave:
+//
+//   posición(i) = i × alturaFila + Σ (alto − alturaFila) de las filas
+//                 variables anteriores a i
+//
+// Mientras no se dibujaron se asume alturaFila.
+//
+// REQUISITOS:
+// - Las filas comunes miden lo mismo (alturaFila se mide con la primera
+//   fila común dibujada y se corrige sola)
+// - Pocas filas variables (se recorren todas para ubicar el scroll)
+// - El contenedor tiene alto fijo y overflow: auto (ver .table-scroll)
+// ============================================================================
+
+class VirtualTable {
+    /**
+     * ========================================================================
+     * CONSTRUCTOR
+     * ========================================================================
+     * - contenedor:  Elemento con scroll que envuelve la <table>
+     * - tbody:       Donde se dibujan las filas
+     * - renderFila:  fila → html`<tr>...</tr>` (SafeHtml)
+     * - clave:       fila → identificador estable (por defecto fila.id)
+     * - alturaVariable: fila → true si su alto no es alturaFila
+     * - columnas:    colspan de los spacers
+     * - alturaFila:  Alto estimado (px) hasta medir una fila real
+     * - margen:      Filas extra arriba y abajo de la ventana (scroll suave)
+     * - duracion:    ms de las transiciones row-enter / row-leave (CSS)
+     * ========================================================================
+     */
+    constructor({
+        contenedor, tbody, renderFila, clave = fila => fila.id,
+        alturaVariable = () => false, columnas = 1, alturaFila = 72, margen = 10, duracion = 300
+    }) {
+        this.contenedor = contenedor;
+        this.tbody = tbody;
+        this.renderFila = renderFila;
+        this.clave = clave;
+        this.alturaVariable = alturaVariable;
+        this.columnas = columnas;
+        this.alturaFila = alturaFila;
+        this.margen = margen;
+        this.duracion = duracion;
+        this.filas = [];
+        this.claves = new Set();
+        this.clavesPrevias = new Set();
+        this.animar = false;
+        this.dibujadas = new Map();
+        this.variables = [];
+        this.alturas = new Map();
+        this.ventana = null;
+        this.pendiente = false;
+        // ====================================================================
+        // - claves: claves de TODA la lista actual (no solo de la ventana)
+        // - clavesPrevias: las de la lista anterior (para saber qué es nuevo)
+        // - dibujadas: Map clave → { tr, html, variable } de los <tr> en el DOM
+        // - variables: [{ indice, clave }] de las filas de alto variable
+        // - alturas: Map clave → alto medido de esas filas
+        // ====================================================================
+
+        this.spacerArriba = this.createSpacer();
+        this.spacerAbajo = this.createSpacer();
+        this.tbody.replaceChildren(this.spacerArriba, this.spacerAbajo);
+        // ====================================================================
+        // Los dos spacers existen siempre (alto 0 si no hacen falta): las
+        // filas dibujadas van entre ellos
+        // ====================================================================
+
+        this.contenedor.addEventListener('scroll', () => this.scheduleRender(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleRender());
+        // ====================================================================
+        // scroll / resize cambian qué filas se ven
+        // passive: true → el navegador no espera a este listener para
+        // desplazar (scroll más fluido)
+        // ====================================================================
+    }
+
+    /**
+     * Reemplazar las filas y volver a dibujar la ventana actual.
+     * Se llama con la lista completa: solo se crean los <tr> visibles.
+     */
+    setRows(filas) {
+        this.clavesPrevias = this.claves;
+        this.claves = new Set(filas.map(this.clave));
+        this.animar = filas.some(fila => this.clavesPrevias.has(this.clave(fila)));
+        // ====================================================================
+        // Solo se animan altas y bajas cuando es la MISMA lista con cambios
+        // (al menos una fila en común). Una lista nueva (otra página,
+        // otros filtros, la primera carga) aparece sin animación.
+        // ====================================================================
+
+        this.filas = filas;
+        this.variables = [];
+        filas.forEach((fila, indice) => {
+            if (this.alturaVariable(fila)) this.variables.push({ indice, clave: this.clave(fila) });
+        });
+        this.alturas.forEach((alto, clave) => {
+            if (!this.claves.has(clave)) this.alturas.delete(clave);
+        });
+        // ====================================================================
+        // Se olvida el alto de las filas que ya no están en la lista (un
+        // panel cerrado se vuelve a medir al abrirlo)
+        // ====================================================================
+
+        this.ventana = null;
+        this.render();
+        this.animar = false;
+        // ====================================================================
+        // ventana = null: aunque el scroll no cambió, las filas sí
+        // (ej: otra persona editó un usuario visible)
+        //
+        // animar = false: las filas que luego entren en la ventana por el
+        // scroll no son nuevas
+        // ====================================================================
+    }
+
+    /**
+     * Cambiar la cantidad de columnas (se mostró u ocultó alguna).
+     * Las filas se vuelven a dibujar con setRows().
+     */
+    setColumns(columnas) {
+        this.columnas = columnas;
+        this.spacerArriba.firstChild.colSpan = columnas;
+        this.spacerAbajo.firstChild.colSpan = columnas;
+    }
+
+    scheduleRender() {
+        if (this.pendiente) return;
+        this.pendiente = true;
+        requestAnimationFrame(() => {
+            this.pendiente = false;
+            this.render();
+        });
+        // ====================================================================
+        // requestAnimationFrame: como mucho un render por cuadro (~60/s)
+        // aunque el evento scroll se dispare muchas más veces
+        // ====================================================================
+    }
+
+    /**
+     * Alto (px) de una fila de alto variable: el medido o alturaFila.
+     */
+    variableHeight(clave) {
+        return this.alturas.get(clave) ?? this.alturaFila;
+    }
+
+    /**
+     * Posición vertical (px) donde empieza la fila `indice`.
+     */
+    offsetOf(indice) {
+        let extra = 0;
+        for (const { indice: i, clave } of this.variables) {
+            if (i >= indice) break;
+            extra += this.variableHeight(clave) - this.alturaFila;
+        }
+        return indice * this.alturaFila + extra;
+    }
+
+    /**
+     * Índice de la fila que ocupa la posición vertical `y` (px).
+     */
+    indexAt(y) {
+        let extra = 0;
+        for (const { indice, clave } of this.variables) {
+            const inicio = indice * this.alturaFila + extra;
+            if (y < inicio) break;
+            const alto = this.variableHeight(clave);
+            if (y < inicio + alto) return indice;
+            extra += alto - this.alturaFila;
+        }
+        return Math.floor((y - extra) / this.alturaFila);
+        // ====================================================================
+        // Entre dos filas variables todas miden alturaFila: basta con
+        // descontar lo que sumaron las variables de arriba
+        // ====================================================================
+    }
+
+    /**
+     * Índices [inicio, fin) de las filas que deben existir en el DOM.
+     */
+    visibleRange() {
+        const alto = this.contenedor.clientHeight || this.alturaFila * 20;
+        const primera = this.indexAt(this.contenedor.scrollTop);
+        const ultima = this.indexAt(this.contenedor.scrollTop + alto);
+
+        const inicio = Math.min(this.filas.length, Math.max(0, primera - this.margen));
+        const fin = Math.min(this.filas.length, ultima + 1 + this.margen);
+        return [inicio, fin];
+        // ====================================================================
+        // clientHeight es 0 si la tabla todavía está oculta: se asume una
+        // ventana de 20 filas hasta que se pueda medir
+        // ====================================================================
+    }
+
+    render() {
+        const [inicio, fin] = this.visibleRange();
+        if (this.ventana && this.ventana[0] === inicio && this.ventana[1] === fin) return;
+        this.ventana = [inicio, fin];
+        // ====================================================================
+        // Scroll dentro de la misma ventana (el margen aún cubre lo
+        // visible) → no hay nada que volver a dibujar
+        // ====================================================================
+
+        this.spacerArriba.firstChild.style.height = `${this.offsetOf(inicio)}px`;
+        this.spacerAbajo.firstChild.style.height = `${this.offsetOf(this.filas.length) - this.offsetOf(fin)}px`;
+
+        this.reconcile(this.filas.slice(inicio, fin));
+        this.measure();
+    }
+
+    /**
+     * ========================================================================
+     * MÉTODO: reconcile()
+     * ========================================================================
+     * Dejar entre los spacers exactamente los <tr> de `visibles`, en orden,
+     * reutilizando los que ya existen (por clave).
+     * ========================================================================
+     */
+    reconcile(visibles) {
+        const enfocado = this.tbody.contains(document.activeElement) ? document.activeElement : null;
+        const anteriores = this.dibujadas;
+        this.dibujadas = new Map();
+
+        const nodos = visibles.map(fila => {
+            const clave = this.clave(fila);
+            const contenido = this.renderFila(fila);
+            let dibujada = anteriores.get(clave);
+
+            if (!dibujada) {
+                dibujada = { tr: this.parseRow(contenido), html: contenido.html, variable: this.alturaVariable(fila) };
+                if (this.animar && !this.clavesPrevias.has(clave)) this.enter(dibujada.tr);
+            } else if (dibujada.html !== contenido.html) {
+                this.patchRow(dibujada.tr, this.parseRow(contenido));
+                dibujada.html = contenido.html;
+            }
+            // ================================================================
+            // Comparar el HTML generado es barato (strings) y evita tocar
+            // el DOM de las filas que no cambiaron
+            // ================================================================
+
+            anteriores.delete(clave);
+            this.dibujadas.set(clave, dibujada);
+            return dibujada.tr;
+        });
+
+        anteriores.forEach(({ tr }, clave) => {
+            if (this.animar && !this.claves.has(clave)) {
+                this.leave(tr);
+            } else {
+                tr.remove();
+            }
+        });
+        // ====================================================================
+        // Lo que queda en anteriores ya no se dibuja:
+        // - Salió de la lista (eliminado, ya no cumple los filtros) → row-leave
+        // - Sigue en la lista pero fuera de la ventana → quitar sin más
+        // ====================================================================
+
+        let siguiente = this.spacerArriba.nextSibling;
+        nodos.forEach(tr => {
+            while (siguiente && siguiente.classList.contains('row-leave')) siguiente = siguiente.nextSibling;
+            if (siguiente === tr) {
+                siguiente = siguiente.nextSibling;
+            } else {
+                this.tbody.insertBefore(tr, siguiente);
+            }
+        });
+        // ====================================================================
+        // Ordenar moviendo solo los <tr> que no están en su lugar
+        // (insertBefore mueve el nodo, no lo copia). Las filas que se
+        // están yendo (row-leave) se saltan: quedan donde estaban.
+        // ====================================================================
+
+        if (enfocado && enfocado.isConnected && document.activeElement !== enfocado) {
+            enfocado.focus({ preventScroll: true });
+        }
+        // ====================================================================
+        // Mover un nodo en el DOM le quita el foco: se devuelve al mismo
+        // elemento (ej: el botón ✏️ que se estaba usando con el teclado)
+        // ====================================================================
+    }
+
+    /**
+     * SafeHtml de un <tr> → elemento <tr>
+     */
+    parseRow(contenido) {
+        const contenedor = document.createElement('tbody');
+        setHtml(contenedor, contenido);
+        return contenedor.firstElementChild;
+        // ====================================================================
+        // Se parsea dentro de un <tbody>: un <tr> suelto fuera de una tabla
+        // el navegador lo descarta
+        // ====================================================================
+    }
+
+    /**
+     * Llevar a `tr` los atributos y el contenido de `nueva`, tocando solo
+     * lo que cambió.
+     */
+    patchRow(tr, nueva) {
+        const entrando = tr.classList.contains('row-enter');
+        this.morph(tr, nueva);
+        if (entrando) tr.classList.add('row-enter');
+        // ====================================================================
+        // row-enter la agrega VirtualTable, no la plantilla: se conserva
+        // hasta que termine la transición
+        // ====================================================================
+    }
+
+    /**
+     * Igualar el nodo `actual` (en el DOM) al nodo `nuevo` (recién
+     * parseado) sin reemplazarlo, bajando por sus hijos.
+     */
+    morph(actual, nuevo) {
+        if (actual.nodeType === Node.TEXT_NODE) {
+            if (actual.nodeValue !== nuevo.nodeValue) actual.nodeValue = nuevo.nodeValue;
+            return;
+        }
+
+        Array.from(actual.attributes).forEach(({ name }) => {
+            if (!nuevo.hasAttribute(name)) actual.removeAttribute(name);
+        });
+        Array.from(nuevo.attributes).forEach(({ name, value }) => {
+            if (actual.getAttribute(name) !== value) actual.setAttribute(name, value);
+        });
+        if (actual.tagName === 'INPUT') actual.checked = nuevo.checked;
+        // ====================================================================
+        // El atributo checked solo define el valor INICIAL: una casilla ya
+        // marcada con el mouse se iguala con la propiedad .checked
+        // ====================================================================
+
+        const hijos = Array.from(nuevo.childNodes);
+        const mismaForma = hijos.length === actual.childNodes.length
+            && hijos.every((hijo, i) => hijo.nodeName === actual.childNodes[i].nodeName);
+        if (!mismaForma) {
+            actual.replaceChildren(...hijos);
+            return;
+        }
+        hijos.forEach((hijo, i) => this.morph(actual.childNodes[i], hijo));
+        // ====================================================================
+        // Misma estructura → se recorre nodo a nodo y solo cambian textos
+        // y atributos: el elemento con foco (ej: la casilla recién marcada
+        // o el botón ✏️) sigue siendo el mismo nodo
+        // Estructura distinta (ej: aparece el badge ⏳) → se reemplazan
+        // los hijos de ese nodo
+        // ====================================================================
+    }
+
+    enter(tr) {
+        tr.classList.add('row-enter');
+        setTimeout(() => tr.classList.remove('row-enter'), this.duracion);
+    }
+
+    leave(tr) {
+        tr.classList.add('row-leave');
+        tr.setAttribute('aria-hidden', 'true');
+        setTimeout(() => tr.remove(), this.duracion);
+        // ====================================================================
+        // La fila sigue en el DOM mientras se desvanece (CSS row-leave) y
+        // los lectores de pantalla ya no la anuncian
+        // ====================================================================
+    }
+
+    createSpacer() {
+        const tr = document.createElement('tr');
+        tr.className = 'virtual-spacer';
+        tr.setAttribute('aria-hidden', 'true');
+        const td = document.createElement('td');
+        td.colSpan = this.columnas;
+        td.style.height = '0px';
+        tr.appendChild(td);
+        return tr;
+    }
+
+    /**
+     * Corregir alturaFila con el alto real de una fila común dibujada y
+     * guardar el alto de las filas variables dibujadas.
+     */
+    measure() {
+        let cambio = false;
+        let comunMedida = false;
+
+        this.dibujadas.forEach(({ tr, variable }, clave) => {
+            const alto = tr.getBoundingClientRect().height;
+            if (alto <= 0) return;
+
+            if (variable) {
+                if (Math.abs(alto - this.variableHeight(clave)) > 1) {
+                    this.alturas.set(clave, alto);
+                    cambio = true;
+                }
+            } else if (!comunMedida) {
+                comunMedida = true;
+                if (Math.abs(alto - this.alturaFila) > 1) {
+                    this.alturaFila = alto;
+                    cambio = true;
+                }
+            }
+        });
+
+        if (cambio) {
+            this.ventana = null;
+            this.render();
+        }
+        // ====================================================================
+        // Solo se vuelve a dibujar si alguna estimación estaba lejos (> 1px):
+        // la segunda pasada ya mide lo mismo y no entra aquí otra vez
+        // ====================================================================
+    }
+
+    /**
+     * Desplazar el contenedor hasta la fila `indice` (centrada).
+     */
+    scrollToIndex(indice) {
+        const centro = this.offsetOf(indice) - (this.contenedor.clientHeight - this.alturaFila) / 2;
+        this.contenedor.scrollTop = Math.max(0, centro);
+        this.render();
+        // ====================================================================
+        // render() inmediato (sin esperar al evento scroll): quien llama
+        // puede buscar el <tr> de esa fila justo después
+        // ====================================================================
+    }
+
+    scrollToTop() {
+        this.contenedor.scrollTop = 0;
+    }
+}
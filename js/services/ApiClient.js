@@ -0,0 +1,390 @@
+// ============================================================================
+// ARCHIVO: ApiClient.js
+// UBICACIÓN: js/services/ApiClient.js
+// PROPÓSITO: Capa única de comunicación con la API PHP
+// ============================================================================
+//
+// DESCRIPCIÓN GENERAL:
+// Centraliza todas las peticiones HTTP del frontend. Antes, cada función de
+// app.js (loadUsers, createUser, updateUser, deleteUser) construía su propio
+// fetch(), parseaba el JSON y revisaba data.success / data.errors por su
+// cuenta. Ahora todas pasan por ApiClient.
+//
+// RESPONSABILIDADES:
+// 1. URL base configurable (ej: 'php/api/')
+// 2. Timeout por petición con AbortController
+// 3. Error uniforme (ApiError) con un tipo:
+//    - 'network'    → El servidor no respondió (sin conexión, CORS, etc.)
+//    - 'timeout'    → Se superó el tiempo máximo de espera
+//    - 'http'       → Status 5xx (con o sin cuerpo JSON) o status de
+//                     error sin cuerpo JSON válido
+//    - 'validation' → El servidor devolvió un array errors[] (4xx)
+//    - 'server'     → El servidor devolvió success: false con error (4xx)
+//    - 'aborted'    → La petición se canceló desde fuera (signal)
+// 4. Interceptores de petición y de respuesta
+// 5. Reintentos con backoff exponencial + jitter SOLO para peticiones
+//    idempotentes (GET, DELETE) y fallos transitorios (red, timeout, 5xx)
+//
+// PATRONES DE DISEÑO:
+// - Facade: Oculta fetch + JSON + manejo de errores detrás de get/post/put/delete
+// - Chain of Responsibility: Los interceptores se ejecutan en cadena
+//
+// PRINCIPIOS SOLID:
+// - SRP: Solo se encarga de hablar con la API (no toca el DOM)
+// - DIP: app.js depende de ApiClient, no de fetch directamente
+//
+// FLUJO DE USO:
+// ============================================================================
+// const api = new ApiClient({ baseUrl: 'php/api/', timeout: 10000 });
+// const data = await api.get('get_users.php', { activo: '1' });
+// await api.post('create_user.php', { nombre: 'Ana', email: 'ana@x.com' });
+//
+// try { ... } catch (error) {
+//     if (error.type === 'validation') console.log(error.errors);
+// }
+// ============================================================================
+
+/**
+ * ============================================================================
+ * CLASE: ApiError
+ * ============================================================================
+ * PROPÓSITO:
+ * - Representar CUALQUIER fallo de la API con la misma forma
+ * - Quien captura el error no necesita saber si vino de fetch, del status
+ *   HTTP o del cuerpo JSON
+ *
+ * PROPIEDADES:
+ * - type:   'network' | 'timeout' | 'http' | 'validation' | 'server' | 'aborted'
+ * - status: Código HTTP (0 si no hubo respuesta)
+ * - errors: Array de mensajes de validación (vacío si no aplica)
+ * - data:   Cuerpo JSON completo devuelto por el servidor (o null)
+ * ============================================================================
+ */
+class ApiError extends Error {
+    constructor(type, message, { status = 0, errors = [], data = null } = {}) {
+        super(message);
+        // ====================================================================
+        // super(message) - Llama al constructor de Error
+        // - Así error.message y error.stack funcionan como siempre
+        // ====================================================================
+
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+        this.errors = errors;
+        this.data = data;
+    }
+
+    /**
+     * ¿Se puede reintentar la petición?
+     * - Sí para fallos de red, timeouts y errores 5xx
+     * - No para validaciones o errores del cliente (4xx)
+     */
+    isTransient() {
+        return this.type === 'network'
+            || this.type === 'timeout'
+            || (this.type === 'http' && this.status >= 500);
+    }
+}
+
+/**
+ * ============================================================================
+ * CLASE: ApiClient
+ * ============================================================================
+ * PROPÓSITO:
+ * - Ejecutar peticiones contra la API PHP con un comportamiento uniforme
+ *
+ * INTERCEPTORES:
+ * - Petición:  fn(config) → config
+ *   Recibe { url, method, headers, body } y puede modificarlo
+ *   (ej: agregar un header de autenticación)
+ * - Respuesta: fn(data, config) → data
+ *   Recibe el JSON ya parseado y puede transformarlo
+ *   (ej: normalizar tipos, registrar métricas)
+ *
+ * Ambos pueden ser async (se usa await en cada uno).
+ * ============================================================================
+ */
+class ApiClient {
+    constructor({ baseUrl = '', timeout = 15000, headers = {}, retry = {} } = {}) {
+        this.baseUrl = baseUrl;
+        this.timeout = timeout;
+        this.headers = headers;
+        this.retry = { retries: 3, baseDelay: 500, maxDelay: 8000, ...retry };
+        // ====================================================================
+        // Configuración de reintentos
+        // - retries:   Intentos EXTRA tras el primero (3 → hasta 4 peticiones)
+        // - baseDelay: Espera base en ms (se duplica en cada intento)
+        // - maxDelay:  Tope de la espera
+        // ====================================================================
+        this.requestInterceptors = [];
+        this.responseInterceptors = [];
+        // ====================================================================
+        // Arrays de interceptores
+        // - Se ejecutan en el orden en que se registraron
+        // ====================================================================
+    }
+
+    /**
+     * Registrar un interceptor de petición.
+     * Devuelve una función para quitarlo.
+     */
+    addRequestInterceptor(fn) {
+        this.requestInterceptors.push(fn);
+        return () => {
+            this.requestInterceptors = this.requestInterceptors.filter(i => i !== fn);
+        };
+    }
+
+    /**
+     * Registrar un interceptor de respuesta.
+     * Devuelve una función para quitarlo.
+     */
+    addResponseInterceptor(fn) {
+        this.responseInterceptors.push(fn);
+        return () => {
+            this.responseInterceptors = this.responseInterceptors.filter(i => i !== fn);
+        };
+    }
+
+    get(endpoint, params = null, options = {}) {
+        return this.request(endpoint, { ...options, method: 'GET', params });
+    }
+
+    post(endpoint, body, options = {}) {
+        return this.request(endpoint, { ...options, method: 'POST', body });
+    }
+
+    put(endpoint, body, options = {}) {
+        return this.request(endpoint, { ...options, method: 'PUT', body });
+    }
+
+    delete(endpoint, params = null, options = {}) {
+        return this.request(endpoint, { ...options, method: 'DELETE', params });
+    }
+
+    /**
+     * ========================================================================
+     * MÉTODO: request()
+     * ========================================================================
+     * Punto único por el que pasan todas las peticiones.
+     *
+     * OPCIONES:
+     * - method:  'GET' | 'POST' | 'PUT' | 'DELETE'
+     * - params:  Objeto o URLSearchParams para el query string
+     * - body:    Objeto que se envía como JSON
+     * - timeout: Milisegundos (sobrescribe el valor por defecto)
+     * - signal:  AbortSignal externo para cancelar la petición
+     * - retry:   false para no reintentar, o { retries, baseDelay, maxDelay }
+     *            (por defecto solo GET y DELETE se reintentan)
+     * - onRetry: fn(intento, totalIntentos, esperaMs, error) antes de cada
+     *            reintento (para mostrar "Reintentando…" en la interfaz)
+     *
+     * DEVUELVE:
+     * - El JSON del servidor cuando success !== false
+     *
+     * LANZA:
+     * - ApiError en cualquier otro caso
+     * ========================================================================
+     */
+    async request(endpoint, { retry, onRetry, ...options } = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const idempotente = ApiClient.IDEMPOTENT_METHODS.includes(method);
+        const reintentos = retry === false || (retry === undefined && !idempotente)
+            ? 0
+            : { ...this.retry, ...(retry || {}) }.retries;
+        const { baseDelay, maxDelay } = { ...this.retry, ...(retry || {}) };
+        // ====================================================================
+        // ¿Se reintenta?
+        // - GET y DELETE son IDEMPOTENTES: repetirlos deja el mismo resultado
+        //   (listar dos veces, o marcar activo = 0 dos veces)
+        // - POST y PUT NO se reintentan solos: un POST repetido podría crear
+        //   el usuario dos veces. Solo se repiten si el usuario lo pide
+        //   (botón "Reintentar" en app.js), o pasando retry explícitamente
+        // ====================================================================
+
+        for (let intento = 0; ; intento++) {
+            try {
+                return await this.send(endpoint, options);
+            } catch (error) {
+                if (intento >= reintentos || !(error instanceof ApiError) || !error.isTransient()) throw error;
+
+                const espera = Math.random() * Math.min(maxDelay, baseDelay * 2 ** intento);
+                // ============================================================
+                // BACKOFF EXPONENCIAL CON JITTER ("full jitter")
+                // ============================================================
+                // Tope exponencial: 500, 1000, 2000, 4000... (máx maxDelay)
+                // Espera real: aleatoria entre 0 y ese tope
+                //
+                // ¿Por qué aleatoria?
+                // - Si el servidor se cae, todos los clientes reintentan;
+                //   con jitter no llegan todos en el mismo instante
+                // ============================================================
+
+                if (onRetry) onRetry(intento + 1, reintentos, espera, error);
+                await ApiClient.sleep(espera, options.signal);
+            }
+        }
+    }
+
+    /**
+     * Esperar ms milisegundos; rechaza con ApiError 'aborted' si el
+     * signal se cancela durante la espera.
+     */
+    static sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new ApiError('aborted', 'Petición cancelada'));
+                return;
+            }
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new ApiError('aborted', 'Petición cancelada'));
+                }, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Un único intento de petición (sin reintentos).
+     */
+    async send(endpoint, { method = 'GET', params = null, body, timeout = this.timeout, signal } = {}) {
+        let config = {
+            url: this.buildUrl(endpoint, params),
+            method,
+            headers: { ...this.headers },
+            body: undefined
+        };
+
+        if (body !== undefined) {
+            config.headers['Content-Type'] = 'application/json';
+            config.body = JSON.stringify(body);
+        }
+
+        for (const interceptor of this.requestInterceptors) {
+            config = await interceptor(config);
+        }
+
+        const controller = new AbortController();
+        // ====================================================================
+        // AbortController - Cancelar peticiones fetch
+        // ====================================================================
+        // controller.signal → Se pasa a fetch()
+        // controller.abort() → fetch() rechaza con AbortError
+        //
+        // Se usa para:
+        // 1. El timeout (setTimeout → abort)
+        // 2. Reenviar una cancelación externa (signal del llamador)
+        // ====================================================================
+
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+
+        const onExternalAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', onExternalAbort);
+        }
+
+        let response;
+        try {
+            response = await fetch(config.url, {
+                method: config.method,
+                headers: config.headers,
+                body: config.body,
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (timedOut) {
+                throw new ApiError('timeout', `La petición superó el tiempo máximo (${timeout} ms)`);
+            }
+            if (error.name === 'AbortError') {
+                throw new ApiError('aborted', 'Petición cancelada');
+            }
+            throw new ApiError('network', 'No se pudo conectar con el servidor');
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onExternalAbort);
+        }
+
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            // ================================================================
+            // El cuerpo no es JSON (ej: página de error HTML de Apache)
+            // - Si el status era de error → ApiError 'http'
+            // - Si el status era 200 → respuesta inválida del servidor
+            // ================================================================
+            if (!response.ok) {
+                throw new ApiError('http', `Error HTTP ${response.status}`, { status: response.status });
+            }
+            throw new ApiError('server', 'Respuesta inválida del servidor', { status: response.status });
+        }
+
+        if (!data || data.success === false) {
+            throw ApiClient.errorFromBody(data, response.status);
+        }
+
+        if (!response.ok) {
+            throw new ApiError('http', `Error HTTP ${response.status}`, { status: response.status, data });
+        }
+
+        for (const interceptor of this.responseInterceptors) {
+            data = await interceptor(data, config);
+        }
+
+        return data;
+    }
+
+    /**
+     * Construir la URL completa: baseUrl + endpoint + query string.
+     */
+    buildUrl(endpoint, params) {
+        const url = this.baseUrl + endpoint;
+        if (!params) return url;
+
+        const query = params instanceof URLSearchParams
+            ? params.toString()
+            : new URLSearchParams(
+                Object.entries(params).filter(([, valor]) => valor !== undefined && valor !== null && valor !== '')
+            ).toString();
+        // ====================================================================
+        // Se omiten los valores vacíos para no enviar ?tipo_usuario=&activo=
+        // ====================================================================
+
+        return query ? `${url}?${query}` : url;
+    }
+
+    /**
+     * Convertir el cuerpo { success: false, ... } en un ApiError.
+     * - 5xx      → 'http' (transitorio: se reintenta), con el cuerpo en data
+     * - errors[] → 'validation' (mensaje = errores unidos por coma)
+     * - error    → 'server'
+     */
+    static errorFromBody(data, status) {
+        if (status >= 500) {
+            return new ApiError('http', (data && data.error) || `Error HTTP ${status}`, { status, data });
+        }
+        // ====================================================================
+        // Los endpoints PHP responden sus excepciones con 500 + JSON
+        // { success: false, error }: el cuerpo es válido pero el fallo
+        // (ej: la base de datos no responde) puede pasar en el próximo intento
+        // ====================================================================
+        if (data && Array.isArray(data.errors) && data.errors.length > 0) {
+            return new ApiError('validation', data.errors.join(', '), {
+                status,
+                errors: data.errors,
+                data
+            });
+        }
+        return new ApiError('server', (data && data.error) || 'Error en el servidor', { status, data });
+    }
+}
+
+ApiClient.IDEMPOTENT_METHODS = ['GET', 'DELETE'];
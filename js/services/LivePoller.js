@@ -0,0 +1,108 @@
+// ============================================================================
+// ARCHIVO: LivePoller.js
+// UBICACIÓN: js/services/LivePoller.js
+// PROPÓSITO: Mantener la lista actualizada con cambios de OTRAS personas
+// ============================================================================
+//
+// DESCRIPCIÓN GENERAL:
+// Antes, la tabla solo se refrescaba tras una operación propia. LivePoller
+// consulta periódicamente la API (polling) y detecta qué cambió respecto a
+// lo que se está mostrando:
+//
+//   diff(anteriores, nuevos) → {
+//       insertados:   [usuarios nuevos],
+//       actualizados: [usuarios con algún campo distinto],
+//       eliminados:   [ids que ya no aparecen]
+//   }
+//
+// ¿POR QUÉ POLLING Y NO WEBSOCKETS / SSE?
+// - Funciona con el PHP actual sin procesos de larga duración
+// - Funciona igual con el backend simulado (MockBackend)
+// - Intervalo moderado (10 s) y pausa cuando la pestaña está oculta
+//
+// PATRÓN DE DISEÑO: OBSERVER (con "pull")
+// - LivePoller no sabe nada del DOM: solo llama a la función consultar()
+//   que le pasa app.js, y app.js decide cómo aplicar los cambios
+// ============================================================================
+
+class LivePoller {
+    constructor({ intervalo = 10000, consultar }) {
+        this.intervalo = intervalo;
+        this.consultar = consultar;
+        this.timer = null;
+        this.ejecutando = false;
+        this.onVisibilityChange = () => {
+            if (document.hidden) {
+                this.stop();
+            } else {
+                this.start();
+                this.tick();
+            }
+        };
+        // ====================================================================
+        // Page Visibility API
+        // - Pestaña oculta → no se consulta (ahorra peticiones)
+        // - Al volver → consulta inmediata y se reanuda el intervalo
+        // ====================================================================
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.intervalo);
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Ejecutar una consulta (nunca dos a la vez).
+     */
+    async tick() {
+        if (this.ejecutando || document.hidden) return;
+        this.ejecutando = true;
+        try {
+            await this.consultar();
+        } catch (error) {
+            console.warn('Actualización en vivo falló:', error.message);
+            // ================================================================
+            // Un fallo aislado no se muestra al usuario:
+            // en el siguiente intervalo se vuelve a intentar
+            // ================================================================
+        } finally {
+            this.ejecutando = false;
+        }
+    }
+
+    /**
+     * ========================================================================
+     * MÉTODO ESTÁTICO: diff()
+     * ========================================================================
+     * Comparar dos listas de usuarios por id.
+     *
+     * Un usuario se considera "actualizado" si cambia cualquiera de los
+     * campos visibles o su fecha_actualizacion.
+     * ========================================================================
+     */
+    static diff(anteriores, nuevos) {
+        const campos = ['nombre', 'email', 'tipo_usuario', 'activo', 'fecha_actualizacion'];
+        const previos = new Map(anteriores.map(u => [u.id, u]));
+        const actuales = new Set(nuevos.map(u => u.id));
+
+        const insertados = nuevos.filter(u => !previos.has(u.id));
+        const actualizados = nuevos.filter(u => {
+            const previo = previos.get(u.id);
+            return previo && campos.some(campo => String(previo[campo]) !== String(u[campo]));
+        });
+        const eliminados = anteriores.filter(u => !actuales.has(u.id)).map(u => u.id);
+
+        return {
+            insertados,
+            actualizados,
+            eliminados,
+            hayCambios: insertados.length + actualizados.length + eliminados.length > 0
+        };
+    }
+}
@@ -0,0 +1,584 @@
+// ============================================================================
+// ARCHIVO: MockBackend.js
+// UBICACIÓN: js/services/MockBackend.js
+// PROPÓSITO: Backend simulado en el navegador (sin PHP ni MySQL)
+// ============================================================================
+//
+// DESCRIPCIÓN GENERAL:
+// Permite usar index.html sin levantar PHP/MySQL (diseño, maquetación,
+// desarrollo del frontend). Intercepta las llamadas a fetch() dirigidas a
+// php/api/ y las responde desde el navegador con los MISMOS sobres JSON que
+// la API real:
+//
+//   { success: true,  data: [...], stats: {...} }   ← get_users.php
+//   { success: true,  message, data: {...} }        ← create/update
+//   { success: false, errors: [...] }               ← validación (400)
+//   { success: false, error: '...' }                ← otros errores
+//
+// Los datos iniciales son los usuarios de ejemplo de sql/schema.sql y los
+// cambios se guardan en localStorage (sobreviven a una recarga).
+//
+// ¿CÓMO SE ACTIVA?
+// ============================================================================
+// - Abrir index.html?mock=1  → Activa y lo recuerda (localStorage)
+// - Abrir index.html?mock=0  → Desactiva
+// - index.html?mock=reset    → Activa y vuelve a los datos de ejemplo
+//
+// PATRÓN DE DISEÑO: ADAPTER / STUB
+// ============================================================================
+// - app.js y ApiClient siguen llamando a fetch() como siempre
+// - MockBackend se pone "delante" de fetch y adapta la petición a una
+//   implementación local de cada endpoint
+// - No hay que tocar ningún otro archivo para cambiar de backend
+//   (Dependency Inversion: el frontend depende del contrato JSON, no de PHP)
+// ============================================================================
+
+class MockBackend {
+    constructor({ baseUrl = 'php/api/', storageKey = 'mockBackend:datos', latencia = 150 } = {}) {
+        this.baseUrl = baseUrl;
+        this.storageKey = storageKey;
+        this.latencia = latencia;
+        this.originalFetch = null;
+        this.routes = {
+            'GET get_users.php': (req) => this.getUsers(req),
+            'POST create_user.php': (req) => this.createUser(req),
+            'PUT update_user.php': (req) => this.updateUser(req),
+            'DELETE delete_user.php': (req) => this.deleteUser(req),
+            'POST bulk_users.php': (req) => this.bulkUsers(req),
+            'GET get_notifications.php': (req) => this.getNotifications(req)
+        };
+        // ====================================================================
+        // Tabla de rutas: "MÉTODO endpoint" → manejador
+        // - Agregar un endpoint simulado = agregar una línea (Open/Closed)
+        // ====================================================================
+    }
+
+    /**
+     * Datos de ejemplo (mismos INSERT que sql/schema.sql).
+     */
+    static seed() {
+        const ahora = MockBackend.timestamp();
+        return {
+            siguienteId: 6,
+            usuarios: [
+                { id: 1, nombre: 'Administrador Sistema', email: 'admin@sistema.com', tipo_usuario: 'admin' },
+                { id: 2, nombre: 'Juan Pérez', email: 'juan.perez@email.com', tipo_usuario: 'normal' },
+                { id: 3, nombre: 'María García', email: 'maria.garcia@email.com', tipo_usuario: 'normal' },
+                { id: 4, nombre: 'Carlos López', email: 'carlos.lopez@email.com', tipo_usuario: 'admin' },
+                { id: 5, nombre: 'Ana Martínez', email: 'ana.martinez@email.com', tipo_usuario: 'normal' }
+            ].map(u => ({ ...u, fecha_creacion: ahora, fecha_actualizacion: ahora, activo: true })),
+            siguienteNotificacionId: 6,
+            notificaciones: [
+                { id: 1, usuario_id: 1, tipo_notificacion: 'email', mensaje: 'Bienvenido al sistema' },
+                { id: 2, usuario_id: 2, tipo_notificacion: 'email', mensaje: 'Tu cuenta ha sido creada' },
+                { id: 3, usuario_id: 2, tipo_notificacion: 'sms', mensaje: 'Código de verificación: 1234' },
+                { id: 4, usuario_id: 3, tipo_notificacion: 'push', mensaje: 'Tienes un nuevo mensaje' },
+                { id: 5, usuario_id: 4, tipo_notificacion: 'email', mensaje: 'Bienvenido Administrador' }
+            ].map(n => ({ ...n, enviado: true, fecha_envio: ahora }))
+        };
+        // ====================================================================
+        // notificaciones: los INSERT de logs_notificaciones
+        // ====================================================================
+    }
+
+    /**
+     * Fecha en el formato de MySQL TIMESTAMP: "2024-01-15 10:30:00"
+     */
+    static timestamp(fecha = new Date()) {
+        const dos = (n) => String(n).padStart(2, '0');
+        return `${fecha.getFullYear()}-${dos(fecha.getMonth() + 1)}-${dos(fecha.getDate())} `
+            + `${dos(fecha.getHours())}:${dos(fecha.getMinutes())}:${dos(fecha.getSeconds())}`;
+    }
+
+    /**
+     * fecha_actualizacion nueva, como TIMESTAMP(6): "2024-01-15 10:30:00.123000"
+     * Nunca repite la anterior (dos guardados en el mismo milisegundo
+     * avanzan 1 µs): es la versión que compara el control de concurrencia.
+     */
+    static version() {
+        const ahora = new Date();
+        let micro = ahora.getMilliseconds() * 1000;
+        const base = MockBackend.timestamp(ahora);
+        if (MockBackend.ultimaVersion && MockBackend.ultimaVersion.base === base) {
+            micro = Math.max(micro, MockBackend.ultimaVersion.micro + 1);
+        }
+        MockBackend.ultimaVersion = { base, micro };
+        return `${base}.${String(micro).padStart(6, '0')}`;
+    }
+
+    /**
+     * ¿Está activado el backend simulado?
+     * Lee ?mock= de la URL y lo guarda en localStorage.
+     */
+    static isEnabled() {
+        const modo = new URLSearchParams(window.location.search).get('mock');
+        if (modo === '0') {
+            localStorage.removeItem('mockBackend');
+        } else if (modo !== null) {
+            localStorage.setItem('mockBackend', '1');
+        }
+        return localStorage.getItem('mockBackend') === '1';
+    }
+
+    load() {
+        const guardado = localStorage.getItem(this.storageKey);
+        if (guardado) return JSON.parse(guardado);
+
+        const db = MockBackend.seed();
+        this.save(db);
+        return db;
+        // ====================================================================
+        // Guardar la semilla en la primera lectura: si no, cada petición
+        // generaría fechas nuevas y update_user.php vería conflictos falsos
+        // ====================================================================
+    }
+
+    save(db) {
+        localStorage.setItem(this.storageKey, JSON.stringify(db));
+    }
+
+    reset() {
+        this.save(MockBackend.seed());
+    }
+
+    /**
+     * ========================================================================
+     * MÉTODO: install()
+     * ========================================================================
+     * Reemplaza window.fetch por una versión que:
+     * - Responde localmente las URLs que empiezan con baseUrl
+     * - Deja pasar cualquier otra URL al fetch original
+     * ========================================================================
+     */
+    install() {
+        if (this.originalFetch) return;
+        this.originalFetch = window.fetch.bind(window);
+
+        window.fetch = async (input, init = {}) => {
+            const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+            const base = new URL(this.baseUrl, window.location.href);
+            if (!url.pathname.startsWith(base.pathname)) {
+                return this.originalFetch(input, init);
+            }
+            return this.handle(url, init, base);
+        };
+    }
+
+    uninstall() {
+        if (!this.originalFetch) return;
+        window.fetch = this.originalFetch;
+        this.originalFetch = null;
+    }
+
+    async handle(url, init, base) {
+        await new Promise((resolve, reject) => {
+            const { signal } = init;
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Petición cancelada', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, this.latencia);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+        // ====================================================================
+        // Latencia simulada
+        // - Hace visibles el spinner y las actualizaciones optimistas
+        // - Respeta AbortController igual que un fetch real
+        // - El listener se quita al terminar la espera: una misma signal
+        //   puede usarse en muchas peticiones y no debe acumularlos
+        // ====================================================================
+
+        const method = (init.method || 'GET').toUpperCase();
+        const endpoint = url.pathname.slice(base.pathname.length);
+        const route = this.routes[`${method} ${endpoint}`];
+
+        if (!route) {
+            return MockBackend.json(405, { success: false, error: 'Método no permitido' });
+        }
+
+        const req = {
+            query: url.searchParams,
+            body: init.body ? JSON.parse(init.body) : null,
+            headers: init.headers || {}
+        };
+
+        try {
+            const [status, body] = route(req);
+            return MockBackend.json(status, body);
+        } catch (error) {
+            return MockBackend.json(500, { success: false, error: error.message });
+        }
+    }
+
+    static json(status, body) {
+        return new Response(JSON.stringify(body), {
+            status,
+            headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+    }
+
+    /**
+     * Validar datos igual que php/validators/UserValidator.php
+     * (reutiliza el UserValidator del cliente para nombre y email).
+     */
+    static validate(data) {
+        const validator = new UserValidator();
+        const errores = [];
+        if (!validator.validateNombre(data.nombre || '')) errores.push(...validator.getErrors());
+        if (!validator.validateEmail(data.email || '')) errores.push(...validator.getErrors());
+        if (data.tipo_usuario !== undefined && !['admin', 'normal'].includes(data.tipo_usuario)) {
+            errores.push('Tipo de usuario inválido');
+        }
+        return errores;
+    }
+
+    static stats(usuarios) {
+        return {
+            total: usuarios.length,
+            admins: usuarios.filter(u => u.tipo_usuario === 'admin').length,
+            normales: usuarios.filter(u => u.tipo_usuario === 'normal').length,
+            activos: usuarios.filter(u => u.activo).length,
+            inactivos: usuarios.filter(u => !u.activo).length
+        };
+    }
+
+    /**
+     * Comparador equivalente a UserRepository::buildOrderBy()
+     * - orden / direccion: listas separadas por coma ('tipo_usuario,nombre', 'DESC,ASC')
+     * - Columnas fuera de la lista blanca se ignoran; desempate final por id
+     */
+    static comparator(orden, direccion) {
+        const permitidas = ['id', 'nombre', 'email', 'tipo_usuario', 'activo', 'fecha_creacion'];
+        const direcciones = direccion.split(',');
+        const criterios = [];
+        orden.split(',').forEach((campo, i) => {
+            campo = campo.trim();
+            if (!permitidas.includes(campo) || criterios.some(c => c.campo === campo)) return;
+            const dir = (direcciones[i] || direcciones[0]).trim().toUpperCase();
+            criterios.push({ campo, factor: dir === 'DESC' ? -1 : 1 });
+        });
+        if (!criterios.some(c => c.campo === 'id')) criterios.push({ campo: 'id', factor: 1 });
+
+        const comparar = (a, b) => (typeof a === 'string'
+            ? a.localeCompare(b, 'es', { sensitivity: 'base' })
+            : Number(a) - Number(b));
+        // ====================================================================
+        // sensitivity 'base': "ana" = "Ana" = "Aná", como la collation
+        // utf8mb4_unicode_ci de MySQL
+        // ====================================================================
+
+        return (a, b) => {
+            for (const { campo, factor } of criterios) {
+                const resultado = comparar(a[campo], b[campo]);
+                if (resultado !== 0) return resultado * factor;
+            }
+            return 0;
+        };
+    }
+
+    /**
+     * Agrupación de get_users.php (?agrupar=), igual que
+     * UserRepository::AGRUPACIONES: { clave: usuario → grupo, factor }
+     * factor -1 = grupos en orden descendente. null si no existe.
+     */
+    static grouping(agrupar) {
+        const agrupaciones = {
+            tipo_usuario: { clave: u => u.tipo_usuario, factor: 1 },
+            activo: { clave: u => (u.activo ? '1' : '0'), factor: -1 },
+            dominio: { clave: u => u.email.split('@').pop().toLowerCase(), factor: 1 },
+            mes: { clave: u => u.fecha_creacion.slice(0, 7), factor: -1 }
+        };
+        return Object.prototype.hasOwnProperty.call(agrupaciones, agrupar) ? agrupaciones[agrupar] : null;
+        // ====================================================================
+        // hasOwnProperty: ?agrupar=constructor no debe encontrar nada
+        // ====================================================================
+    }
+
+    // ========================================================================
+    // ENDPOINTS SIMULADOS
+    // Cada uno devuelve [statusHTTP, cuerpoJSON]
+    // ========================================================================
+
+    getUsers({ query }) {
+        const db = this.load();
+        let lista = db.usuarios.slice();
+
+        if (query.has('tipo_usuario')) {
+            lista = lista.filter(u => u.tipo_usuario === query.get('tipo_usuario'));
+        }
+        if (query.has('activo')) {
+            const activo = query.get('activo') === '1' || query.get('activo') === 'true';
+            lista = lista.filter(u => u.activo === activo);
+        }
+        if (query.has('busqueda')) {
+            const texto = normalizeSearch(query.get('busqueda'));
+            lista = lista.filter(u =>
+                normalizeSearch(u.nombre).includes(texto) || normalizeSearch(u.email).includes(texto)
+            );
+            // ================================================================
+            // Equivalente a: nombre LIKE '%texto%' OR email LIKE '%texto%'
+            // con utf8mb4_unicode_ci ('maria' encuentra "María")
+            // ================================================================
+        }
+
+        const comparar = MockBackend.comparator(query.get('orden') || 'id', query.get('direccion') || 'DESC');
+        const agrupacion = MockBackend.grouping(query.get('agrupar'));
+        let grupos = null;
+        if (agrupacion) {
+            lista.sort((a, b) => agrupacion.clave(a).localeCompare(agrupacion.clave(b)) * agrupacion.factor || comparar(a, b));
+            const totales = new Map();
+            lista.forEach(u => totales.set(agrupacion.clave(u), (totales.get(agrupacion.clave(u)) || 0) + 1));
+            grupos = [...totales].map(([clave, total]) => ({ clave, total }));
+        } else {
+            lista.sort(comparar);
+        }
+        // ====================================================================
+        // Con ?agrupar=: primero por grupo y después el orden pedido
+        // (ORDER BY grupo, ...) y el total de cada grupo antes de paginar
+        // (countByGroup)
+        // ====================================================================
+
+        let paginacion = null;
+        if (query.has('limite')) {
+            const limite = Math.min(Math.max(parseInt(query.get('limite'), 10) || 1, 1), 100);
+            const paginas = Math.max(1, Math.ceil(lista.length / limite));
+            const pagina = Math.min(Math.max(parseInt(query.get('pagina'), 10) || 1, 1), paginas);
+            paginacion = { pagina, limite, total: lista.length, paginas };
+            lista = lista.slice((pagina - 1) * limite, pagina * limite);
+        }
+        // ====================================================================
+        // Misma paginación que get_users.php (LIMIT / OFFSET y página
+        // fuera de rango corregida a la última)
+        // ====================================================================
+
+        return [200, { success: true, data: lista, stats: MockBackend.stats(db.usuarios), paginacion, grupos }];
+    }
+
+    createUser({ body }) {
+        if (!body) return [500, { success: false, error: 'Datos inválidos' }];
+
+        const errores = MockBackend.validate(body);
+        if (errores.length > 0) return [400, { success: false, errors: errores }];
+
+        const db = this.load();
+        const email = body.email.trim().toLowerCase();
+        if (db.usuarios.some(u => u.email === email)) {
+            return [400, { success: false, error: 'El email ya está registrado' }];
+        }
+
+        const ahora = MockBackend.timestamp();
+        const usuario = {
+            id: db.siguienteId++,
+            nombre: body.nombre.trim(),
+            email,
+            tipo_usuario: body.tipo_usuario || 'normal',
+            fecha_creacion: ahora,
+            fecha_actualizacion: MockBackend.version(),
+            activo: true
+        };
+        db.usuarios.push(usuario);
+        db.notificaciones = db.notificaciones || [];
+        db.siguienteNotificacionId = db.siguienteNotificacionId || db.notificaciones.length + 1;
+        db.notificaciones.push({
+            id: db.siguienteNotificacionId++,
+            usuario_id: usuario.id,
+            tipo_notificacion: 'email',
+            mensaje: `Bienvenido ${usuario.nombre}! Tu cuenta ha sido creada exitosamente.`,
+            enviado: true,
+            fecha_envio: ahora
+        });
+        this.save(db);
+        // ====================================================================
+        // Igual que create_user.php: email de bienvenida registrado por
+        // DatabaseLogger (|| []: datos guardados antes de existir el historial)
+        // ====================================================================
+
+        return [201, {
+            success: true,
+            message: 'Usuario creado exitosamente',
+            data: usuario
+        }];
+    }
+
+    updateUser({ body }) {
+        if (!body || !body.id) return [500, { success: false, error: 'ID de usuario requerido' }];
+
+        const db = this.load();
+        const usuario = db.usuarios.find(u => u.id === Number(body.id));
+        if (!usuario) return [404, { success: false, error: 'Usuario no encontrado' }];
+
+        if (body.fecha_actualizacion && body.fecha_actualizacion !== usuario.fecha_actualizacion) {
+            return [409, {
+                success: false,
+                conflicto: true,
+                error: 'El usuario fue modificado por otra persona mientras lo editabas',
+                data: usuario
+            }];
+        }
+        // ====================================================================
+        // Concurrencia optimista, igual que update_user.php
+        // ====================================================================
+
+        const errores = MockBackend.validate(body);
+        if (errores.length > 0) return [400, { success: false, errors: errores }];
+
+        const email = body.email.trim().toLowerCase();
+        if (db.usuarios.some(u => u.email === email && u.id !== usuario.id)) {
+            return [400, { success: false, error: 'El email ya está en uso' }];
+        }
+
+        usuario.nombre = body.nombre.trim();
+        usuario.email = email;
+        if (body.tipo_usuario !== undefined) usuario.tipo_usuario = body.tipo_usuario;
+        if (body.activo !== undefined) usuario.activo = Boolean(body.activo);
+        usuario.fecha_actualizacion = MockBackend.version();
+        this.save(db);
+
+        return [200, { success: true, message: 'Usuario actualizado exitosamente', data: usuario }];
+    }
+
+    deleteUser({ query, body }) {
+        const id = Number(query.get('id') || (body && body.id));
+        if (!id) return [500, { success: false, error: 'ID de usuario requerido' }];
+
+        const db = this.load();
+        const usuario = db.usuarios.find(u => u.id === id);
+        if (!usuario) return [404, { success: false, error: 'Usuario no encontrado' }];
+
+        usuario.activo = false;
+        usuario.fecha_actualizacion = MockBackend.version();
+        this.save(db);
+        // ====================================================================
+        // Soft delete, igual que UserRepository::delete() (activo = 0)
+        // ====================================================================
+
+        return [200, { success: true, message: 'Usuario eliminado exitosamente', data: usuario }];
+    }
+
+    bulkUsers({ body }) {
+        const { accion, tipo_usuario: tipo, usuarios } = body || {};
+        const errores = [];
+        if (!['activar', 'desactivar', 'eliminar', 'tipo'].includes(accion)) {
+            errores.push('Acción masiva no válida');
+        }
+        if (accion === 'tipo' && !['admin', 'normal'].includes(tipo)) {
+            errores.push('Tipo de usuario no válido');
+        }
+        if (!Array.isArray(usuarios) || usuarios.length === 0) {
+            errores.push('No se seleccionó ningún usuario');
+        } else if (usuarios.length > 1000) {
+            errores.push('Máximo 1000 usuarios por operación');
+        }
+        if (errores.length > 0) return [400, { success: false, errors: errores }];
+
+        const db = this.load();
+        const resultados = usuarios.map((item) => {
+            if (!item || typeof item !== 'object' || item.id === undefined) {
+                return { id: null, success: false, error: 'Usuario no válido' };
+            }
+            const { id, fecha_actualizacion: fecha } = item;
+            const usuario = db.usuarios.find(u => u.id === Number(id));
+            if (!usuario) return { id, success: false, error: 'Usuario no encontrado' };
+            if (fecha && fecha !== usuario.fecha_actualizacion) {
+                return {
+                    id,
+                    success: false,
+                    conflicto: true,
+                    error: 'Otra persona lo modificó después de seleccionarlo',
+                    data: { ...usuario }
+                };
+            }
+
+            if (accion === 'tipo') {
+                usuario.tipo_usuario = tipo;
+            } else {
+                usuario.activo = accion === 'activar';
+            }
+            usuario.fecha_actualizacion = MockBackend.version();
+            return { id, success: true, data: { ...usuario } };
+        });
+        this.save(db);
+        // ====================================================================
+        // Un resultado por usuario, igual que bulk_users.php: los que
+        // fallan no impiden aplicar el resto ("eliminar" = activo false)
+        // ====================================================================
+
+        const exitosos = resultados.filter(r => r.success).length;
+        return [200, {
+            success: true,
+            data: { resultados, exitosos, fallidos: resultados.length - exitosos },
+            stats: MockBackend.stats(db.usuarios)
+        }];
+    }
+
+    getNotifications({ query }) {
+        const usuarioId = parseInt(query.get('usuario_id'), 10) || 0;
+        const tipo = query.get('tipo') || null;
+        const errores = [];
+        if (usuarioId <= 0) errores.push('usuario_id es obligatorio');
+        if (tipo && !['email', 'sms', 'push'].includes(tipo)) errores.push('Tipo de notificación no válido');
+        if (errores.length > 0) return [400, { success: false, errors: errores }];
+
+        const db = this.load();
+        if (!db.usuarios.some(u => u.id === usuarioId)) {
+            return [404, { success: false, error: 'Usuario no encontrado' }];
+        }
+
+        const todas = (db.notificaciones || [])
+            .filter(n => n.usuario_id === usuarioId)
+            .sort((a, b) => b.fecha_envio.localeCompare(a.fecha_envio) || b.id - a.id);
+        const conteo = { email: 0, sms: 0, push: 0 };
+        todas.forEach(n => { conteo[n.tipo_notificacion]++; });
+        conteo.total = todas.length;
+
+        const lista = tipo ? todas.filter(n => n.tipo_notificacion === tipo) : todas;
+        const limite = 20;
+        const paginas = Math.max(1, Math.ceil(lista.length / limite));
+        const pagina = Math.min(Math.max(parseInt(query.get('pagina'), 10) || 1, 1), paginas);
+        // ====================================================================
+        // Mismo orden (fecha_envio DESC, id DESC) y páginas de 20 que
+        // get_notifications.php
+        // ====================================================================
+
+        return [200, {
+            success: true,
+            data: lista.slice((pagina - 1) * limite, pagina * limite)
+                .map(({ id, tipo_notificacion, mensaje, enviado, fecha_envio }) => ({
+                    id, tipo_notificacion, mensaje, enviado, fecha_envio
+                })),
+            conteo,
+            paginacion: { pagina, limite, total: lista.length, paginas }
+        }];
+    }
+}
+
+MockBackend.ultimaVersion = null;
+// Último valor de version(): { base: 'YYYY-MM-DD HH:MM:SS', micro }
+
+// ============================================================================
+// ACTIVACIÓN AUTOMÁTICA
+// ============================================================================
+// Se ejecuta al cargar el script (antes de app.js), así la primera llamada
+// de loadUsers() ya pasa por el backend simulado.
+// ============================================================================
+
+if (MockBackend.isEnabled()) {
+    const mockBackend = new MockBackend();
+    if (new URLSearchParams(window.location.search).get('mock') === 'reset') {
+        mockBackend.reset();
+    }
+    mockBackend.install();
+    console.log('🧪 Backend simulado activo (index.html?mock=0 para desactivar)');
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const aviso = document.createElement('span');
+        aviso.className = 'badge badge-mock';
+        aviso.textContent = '🧪 Backend simulado';
+        aviso.title = 'Datos guardados en localStorage. Abre index.html?mock=0 para usar la API PHP';
+        const header = document.querySelector('.header .container');
+        if (header) header.appendChild(aviso);
+    });
+}
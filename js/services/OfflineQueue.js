@@ -0,0 +1,190 @@
+// ============================================================================
+// ARCHIVO: OfflineQueue.js
+// UBICACIÓN: js/services/OfflineQueue.js
+// PROPÓSITO: Cola persistente de operaciones hechas sin conexión
+// ============================================================================
+//
+// DESCRIPCIÓN GENERAL:
+// Cuando el backend PHP no responde, las operaciones de crear, actualizar y
+// eliminar no se pierden: se guardan en IndexedDB y se reenvían EN ORDEN
+// cuando vuelve la conexión (evento 'online' del navegador).
+//
+// TECNOLOGÍAS:
+// - IndexedDB: Base de datos del navegador (persiste entre recargas)
+// - Promises: Se envuelven las peticiones de IndexedDB (basadas en eventos)
+//
+// PATRÓN DE DISEÑO: COMMAND
+// ============================================================================
+// Cada elemento de la cola es un "comando" serializado:
+// {
+//     id: 3,                        ← Clave autoincremental (orden FIFO)
+//     accion: 'create',             ← 'create' | 'update' | 'delete'
+//     method: 'POST',               ← Método HTTP
+//     endpoint: 'create_user.php',  ← Endpoint de la API
+//     body: {...} | undefined,      ← Cuerpo JSON (POST/PUT)
+//     params: {...} | null,         ← Query string (DELETE)
+//     usuario: {...},               ← Datos para mostrar la fila "pendiente"
+//     fecha: '2024-01-15T10:30:00Z'
+// }
+//
+// Guardar el comando permite EJECUTARLO MÁS TARDE (replay), igual que el
+// patrón Command permite deshacer/rehacer o encolar operaciones.
+//
+// FLUJO:
+// ============================================================================
+// 1. createUser() falla con ApiError 'network'
+// 2. queue.enqueue({...}) → Se guarda en IndexedDB
+// 3. La tabla muestra la fila con badge "⏳ Pendiente"
+// 4. window 'online' (o la próxima consulta en vivo que responde) →
+//    queue.replay(api)
+// 5. Cada comando se envía en orden:
+//    - OK → se elimina de la cola
+//    - Error de validación/servidor (ej: email ya en uso) → se elimina
+//      y se informa al usuario
+//    - Error de red → se detiene el replay (se reintenta luego)
+// ============================================================================
+
+class OfflineQueue {
+    constructor(dbName = 'sistema_usuarios', storeName = 'mutaciones') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+        this.listeners = [];
+        this.replaying = false;
+    }
+
+    /**
+     * Abrir (o crear) la base de datos IndexedDB.
+     * Se llama automáticamente la primera vez que se usa la cola.
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            // ================================================================
+            // indexedDB.open(nombre, versión)
+            // - Si la BD no existe o la versión es mayor → onupgradeneeded
+            // - Ahí se crean los "object stores" (similar a tablas)
+            // ================================================================
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Ejecutar una operación sobre el object store dentro de una transacción.
+     * Devuelve una Promise con el resultado de la petición.
+     */
+    async run(modo, operacion) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, modo);
+            const request = operacion(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Agregar un comando al final de la cola.
+     */
+    async enqueue(comando) {
+        const id = await this.run('readwrite', store => store.add({
+            ...comando,
+            fecha: new Date().toISOString()
+        }));
+        this.emit();
+        return id;
+    }
+
+    /**
+     * Obtener todos los comandos pendientes, en orden de llegada.
+     */
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    async remove(id) {
+        await this.run('readwrite', store => store.delete(id));
+        this.emit();
+    }
+
+    /**
+     * ========================================================================
+     * MÉTODO: replay()
+     * ========================================================================
+     * Reenviar los comandos pendientes, uno por uno y en orden.
+     *
+     * PARÁMETROS:
+     * - api: Instancia de ApiClient
+     *
+     * DEVUELVE:
+     * - Array de resultados: [{ comando, ok: true }, { comando, ok: false, error }]
+     *   Solo incluye los comandos que se procesaron (no los que quedan
+     *   en cola por un nuevo fallo de red).
+     * ========================================================================
+     */
+    async replay(api) {
+        if (this.replaying) return [];
+        this.replaying = true;
+        // ====================================================================
+        // Evitar dos replays simultáneos (ej: evento 'online' + inicio)
+        // ====================================================================
+
+        const resultados = [];
+        try {
+            const comandos = await this.getAll();
+
+            for (const comando of comandos) {
+                try {
+                    await api.request(comando.endpoint, {
+                        method: comando.method,
+                        body: comando.body,
+                        params: comando.params,
+                        retry: false
+                    });
+                    resultados.push({ comando, ok: true });
+                } catch (error) {
+                    if (error instanceof ApiError && error.isTransient()) {
+                        break;
+                        // ====================================================
+                        // Sigue sin conexión: se detiene y se conserva la cola
+                        // (los siguientes comandos dependen del orden)
+                        // ====================================================
+                    }
+                    resultados.push({ comando, ok: false, error });
+                }
+                await this.remove(comando.id);
+            }
+        } finally {
+            this.replaying = false;
+        }
+        return resultados;
+    }
+
+    /**
+     * Suscribirse a cambios de la cola (Observer).
+     * Devuelve una función para cancelar la suscripción.
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    emit() {
+        this.listeners.forEach(listener => listener());
+    }
+}
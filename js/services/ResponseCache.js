@@ -0,0 +1,87 @@
+// ============================================================================
+// ARCHIVO: ResponseCache.js
+// UBICACIÓN: js/services/ResponseCache.js
+// PROPÓSITO: Caché en memoria para respuestas de la API (stale-while-revalidate)
+// ============================================================================
+//
+// DESCRIPCIÓN GENERAL:
+// Al cambiar filter-tipo / filter-activo de un valor a otro y volver, antes
+// se descargaba otra vez la misma lista. Con esta caché:
+//
+// 1. Se muestra AL INSTANTE la respuesta guardada para esos filtros (stale)
+// 2. En segundo plano se pide la versión actual al servidor (revalidate)
+// 3. Cuando llega, se guarda y se vuelve a dibujar la tabla
+//
+// CLAVE DE CACHÉ:
+// - El query string que arma loadUsers():
+//   "tipo_usuario=admin&activo=1&orden=id&direccion=DESC"
+// - Mismos filtros → misma clave → misma entrada
+//
+// INVALIDACIÓN:
+// - Después de crear, actualizar o eliminar se llama a invalidate():
+//   cualquier lista guardada podría estar desactualizada
+// - generacion cuenta las invalidaciones. Quien pide una lista la anota
+//   al empezar y la pasa a set(): si entretanto hubo un cambio, la
+//   respuesta (leída antes del cambio) no se guarda
+//
+// PATRÓN DE DISEÑO: PROXY (de caché)
+// - Se interpone entre loadUsers() y la API sin cambiar cómo se usa la API
+// ============================================================================
+
+class ResponseCache {
+    constructor({ maxAge = 5 * 60 * 1000, maxEntries = 50 } = {}) {
+        this.maxAge = maxAge;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        // ====================================================================
+        // Map clave → { data, fecha }
+        // - Map conserva el orden de inserción: la primera clave es la más
+        //   antigua (se descarta al superar maxEntries)
+        // ====================================================================
+        this.generacion = 0;
+    }
+
+    /**
+     * Obtener la respuesta guardada para una clave.
+     * Devuelve null si no existe o si superó maxAge (demasiado vieja
+     * incluso para mostrarse mientras se revalida).
+     */
+    get(clave) {
+        const entrada = this.entries.get(clave);
+        if (!entrada) return null;
+
+        if (Date.now() - entrada.fecha > this.maxAge) {
+            this.entries.delete(clave);
+            return null;
+        }
+        return entrada.data;
+    }
+
+    /**
+     * Guardar una respuesta.
+     * generacion: la que tenía la caché al lanzar la petición; si desde
+     * entonces se llamó a invalidate(), la respuesta se descarta.
+     */
+    set(clave, data, generacion = this.generacion) {
+        if (generacion !== this.generacion) return;
+
+        this.entries.delete(clave);
+        this.entries.set(clave, { data, fecha: Date.now() });
+        // ====================================================================
+        // delete + set: mueve la clave al final (más reciente)
+        // ====================================================================
+
+        if (this.entries.size > this.maxEntries) {
+            const masAntigua = this.entries.keys().next().value;
+            this.entries.delete(masAntigua);
+        }
+    }
+
+    /**
+     * Borrar todas las entradas (tras cualquier cambio en los datos).
+     */
+    invalidate() {
+        this.entries.clear();
+        this.generacion++;
+    }
+}
@@ -0,0 +1,78 @@
+// ============================================================================
+// ARCHIVO: TabSync.js
+// UBICACIÓN: js/services/TabSync.js
+// PROPÓSITO: Sincronizar varias pestañas abiertas de index.html
+// ============================================================================
+//
+// DESCRIPCIÓN GENERAL:
+// Si un administrador tiene dos pestañas abiertas y crea un usuario en una,
+// la otra quedaba desactualizada (tabla y estadísticas). TabSync transmite
+// cada operación a las demás pestañas del MISMO navegador:
+//
+//   Pestaña A: createUser() OK → tabSync.publish({ accion: 'create', ... })
+//   Pestaña B: tabSync.subscribe(mensaje => aplicar el cambio)
+//
+// TECNOLOGÍAS:
+// - BroadcastChannel: Canal de mensajes entre pestañas del mismo origen
+// - Evento 'storage' (alternativa): Navegadores sin BroadcastChannel;
+//   escribir en localStorage dispara 'storage' en las OTRAS pestañas
+//
+// PATRÓN DE DISEÑO: OBSERVER (Publish/Subscribe)
+// - La pestaña que cambia algo PUBLICA; las demás están SUSCRITAS
+// - Ninguna pestaña conoce a las otras (bajo acoplamiento)
+// ============================================================================
+
+class TabSync {
+    constructor(canal = 'sistema-usuarios') {
+        this.canal = canal;
+        this.listeners = [];
+        this.origen = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        // ====================================================================
+        // origen: Identificador de esta pestaña
+        // - Evita procesar los mensajes propios
+        // ====================================================================
+
+        const recibir = (mensaje) => {
+            if (!mensaje || mensaje.origen === this.origen) return;
+            this.listeners.forEach(listener => listener(mensaje.payload));
+        };
+
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(canal);
+            this.channel.addEventListener('message', (e) => recibir(e.data));
+        } else {
+            this.channel = null;
+            window.addEventListener('storage', (e) => {
+                if (e.key !== this.canal || !e.newValue) return;
+                recibir(JSON.parse(e.newValue));
+            });
+        }
+    }
+
+    /**
+     * Enviar un mensaje a todas las demás pestañas.
+     */
+    publish(payload) {
+        const mensaje = { origen: this.origen, payload, fecha: Date.now() };
+        if (this.channel) {
+            this.channel.postMessage(mensaje);
+        } else {
+            localStorage.setItem(this.canal, JSON.stringify(mensaje));
+            // ================================================================
+            // fecha hace que el valor siempre cambie: si se guardara el mismo
+            // texto dos veces, 'storage' no se dispararía la segunda vez
+            // ================================================================
+        }
+    }
+
+    /**
+     * Suscribirse a mensajes de otras pestañas.
+     * Devuelve una función para cancelar la suscripción.
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+}
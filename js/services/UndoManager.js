@@ -0,0 +1,104 @@
+// ============================================================================
+// ARCHIVO: UndoManager.js
+// UBICACIÓN: js/services/UndoManager.js
+// PROPÓSITO: Historial de cambios para Deshacer (Ctrl+Z) y Rehacer (Ctrl+Shift+Z)
+// ============================================================================
+//
+// DESCRIPCIÓN GENERAL:
+// Crear, editar y eliminar eran definitivos desde el punto de vista de la
+// interfaz (aunque el backend solo hace soft delete). UndoManager guarda
+// cada cambio confirmado por el servidor como un COMANDO que sabe
+// deshacerse y rehacerse:
+//
+//   historial.record({
+//       descripcion: 'eliminar "Ana Martínez"',
+//       deshacer: async () => { ...reactivar... },
+//       rehacer:  async () => { ...volver a eliminar... }
+//   });
+//
+// PATRÓN DE DISEÑO: COMMAND
+// ============================================================================
+// Mismo patrón que OfflineQueue, pero aquí los comandos se guardan en dos
+// pilas (LIFO) en memoria:
+//
+//   pilaDeshacer: [c1, c2, c3]   ← c3 es el último cambio
+//   pilaRehacer:  []
+//
+//   undo() → c3.deshacer()  → pilaDeshacer: [c1, c2]  pilaRehacer: [c3]
+//   redo() → c3.rehacer()   → pilaDeshacer: [c1, c2, c3]  pilaRehacer: []
+//
+// Un cambio NUEVO vacía pilaRehacer (la "rama" deshecha ya no aplica).
+// ============================================================================
+
+class UndoManager {
+    constructor({ limite = 50 } = {}) {
+        this.limite = limite;
+        this.pilaDeshacer = [];
+        this.pilaRehacer = [];
+        this.ejecutando = false;
+        // ====================================================================
+        // ejecutando: evita deshacer dos veces mientras el primer
+        // deshacer todavía espera al servidor (ej: Ctrl+Z repetido)
+        // ====================================================================
+    }
+
+    /**
+     * Registrar un cambio ya aplicado.
+     */
+    record(comando) {
+        this.pilaDeshacer.push(comando);
+        if (this.pilaDeshacer.length > this.limite) this.pilaDeshacer.shift();
+        this.pilaRehacer = [];
+    }
+
+    canUndo() {
+        return this.pilaDeshacer.length > 0;
+    }
+
+    canRedo() {
+        return this.pilaRehacer.length > 0;
+    }
+
+    /**
+     * Último comando registrado (el que deshará undo()).
+     */
+    peek() {
+        return this.pilaDeshacer[this.pilaDeshacer.length - 1] || null;
+    }
+
+    /**
+     * Deshacer el último cambio.
+     * Devuelve el comando deshecho, o null si no había nada que deshacer.
+     */
+    undo() {
+        return this.move(this.pilaDeshacer, this.pilaRehacer, 'deshacer');
+    }
+
+    /**
+     * Rehacer el último cambio deshecho.
+     */
+    redo() {
+        return this.move(this.pilaRehacer, this.pilaDeshacer, 'rehacer');
+    }
+
+    async move(origen, destino, metodo) {
+        if (this.ejecutando || origen.length === 0) return null;
+
+        const comando = origen.pop();
+        this.ejecutando = true;
+        try {
+            await comando[metodo]();
+            destino.push(comando);
+            return comando;
+        } catch (error) {
+            origen.push(comando);
+            throw error;
+            // ================================================================
+            // Si el servidor rechaza la operación (ej: 409, sin conexión),
+            // el comando vuelve a su pila: se puede intentar otra vez
+            // ================================================================
+        } finally {
+            this.ejecutando = false;
+        }
+    }
+}
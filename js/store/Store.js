@@ -0,0 +1,104 @@
+// ============================================================================
+// ARCHIVO: Store.js
+// UBICACIÓN: js/store/Store.js
+// PROPÓSITO: Contenedor de estado observable (acciones, selectores, suscripciones)
+// ============================================================================
+//
+// DESCRIPCIÓN GENERAL:
+// Antes, app.js guardaba el estado en variables globales mutables
+// (usuarios, usuarioEnEdicion...) y cada función volvía a dibujar "a mano"
+// las partes del DOM que creía afectadas. Con el Store:
+//
+// 1. El estado vive en UN solo objeto (store.getState())
+// 2. Solo cambia mediante ACCIONES: store.dispatch({ type, ...datos })
+// 3. Un REDUCER calcula el estado nuevo: reducer(estado, accion) → estado
+// 4. Cada parte de la interfaz se SUSCRIBE a la porción que le interesa
+//    (selector) y se vuelve a dibujar solo cuando esa porción cambia
+//
+// PATRÓN DE DISEÑO: OBSERVER
+// ============================================================================
+// Mismo patrón que NotificationManager.php (addObserver / notify):
+// - Sujeto:      Store
+// - Observadores: Funciones registradas con subscribe() / select()
+// - notify:      dispatch() avisa a todos tras cada cambio
+//
+// FLUJO:
+// ============================================================================
+// store.select(s => s.estadisticas, renderStats);
+// store.dispatch({ type: 'estadisticas/actualizadas', estadisticas: {...} });
+//   → reducer devuelve un estado nuevo
+//   → s.estadisticas cambió (otra referencia) → renderStats(nuevas, anteriores)
+// ============================================================================
+
+class Store {
+    constructor(reducer, estadoInicial) {
+        this.reducer = reducer;
+        this.state = estadoInicial;
+        this.listeners = [];
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Aplicar una acción y notificar a los suscriptores.
+     */
+    dispatch(accion) {
+        const anterior = this.state;
+        this.state = this.reducer(anterior, accion);
+        if (this.state === anterior) return;
+        // ====================================================================
+        // Si el reducer devuelve el MISMO objeto, nada cambió: no se notifica
+        // ====================================================================
+
+        this.listeners.slice().forEach(listener => listener(this.state, anterior, accion));
+        // ====================================================================
+        // slice(): copia del array, por si un listener se da de baja
+        // mientras se recorre
+        // ====================================================================
+    }
+
+    /**
+     * Suscribirse a TODOS los cambios.
+     * Devuelve una función para cancelar la suscripción.
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * ========================================================================
+     * MÉTODO: select()
+     * ========================================================================
+     * Suscribirse solo a una PORCIÓN del estado.
+     *
+     * - selector(estado) → valor (o array de valores)
+     * - onChange(nuevo, anterior) se llama solo si el valor cambió
+     *   (comparación por referencia; los arrays se comparan elemento
+     *   por elemento)
+     * - Con { inmediato: true } se llama también al suscribirse
+     * ========================================================================
+     */
+    select(selector, onChange, { inmediato = false } = {}) {
+        let actual = selector(this.state);
+        if (inmediato) onChange(actual, undefined);
+
+        return this.subscribe(state => {
+            const nuevo = selector(state);
+            if (Store.shallowEqual(nuevo, actual)) return;
+            const anterior = actual;
+            actual = nuevo;
+            onChange(nuevo, anterior);
+        });
+    }
+
+    static shallowEqual(a, b) {
+        if (a === b) return true;
+        if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+        return a.every((valor, i) => valor === b[i]);
+    }
+}
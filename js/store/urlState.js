@@ -0,0 +1,151 @@
+// ============================================================================
+// ARCHIVO: urlState.js
+// UBICACIÓN: js/store/urlState.js
+// PROPÓSITO: Guardar en la URL los filtros, el orden, la página y el usuario en edición
+// ============================================================================
+//
+// DESCRIPCIÓN GENERAL:
+// Los filtros y la edición en curso se perdían al recargar y no se podían
+// compartir. Ahora forman parte del query string:
+//
+//   index.html?busqueda=ana&tipo=admin&activo=&agrupar=dominio&orden=tipo_usuario:desc,nombre:asc&pagina=3&limite=50&editar=5
+//   │          │            │          │        │               │                                │        │         └─ Usuario en edición
+//   │          │            │          │        │               │                                └────────┴─ Página y filas por página
+//   │          │            │          │        │               └─ Columnas de orden (Shift+clic)
+//   │          │            │          │        └─ Agrupación de la tabla (tipo_usuario, activo, dominio, mes)
+//   │          │            │          └─ "" = Todos (sin parámetro = Activos)
+//   │          │            └─ Filtro por tipo
+//   │          └─ Texto de búsqueda
+//   └─ Otros parámetros (ej: ?mock=1) se conservan tal cual
+//
+// REGLAS:
+// - Solo se escriben los valores DISTINTOS del estado inicial
+//   (la URL de la vista por defecto queda limpia: index.html)
+// - Valores desconocidos en la URL (ej: tipo=xyz) se ignoran
+// ============================================================================
+
+const PARAMETROS_URL = {
+    busqueda: null,
+    tipo: ['', 'admin', 'normal'],
+    activo: ['', '1', '0'],
+    agrupar: ['', ...AGRUPACIONES]
+};
+// ============================================================================
+// Filtros que viajan en la URL
+// - null: cualquier texto
+// - array: valores permitidos (mismas opciones que los <select>)
+// ============================================================================
+
+/**
+ * Leer el estado guardado en un query string.
+ * Devuelve { filtros, orden, pagina, limite, editar }
+ * - orden: array o null si la URL no lo indica
+ * - pagina: entero >= 1 (1 si falta o no es válida)
+ * - limite: uno de TAMANOS_PAGINA, 0 = Todos (LIMITE_POR_DEFECTO si no)
+ * - editar: id o null
+ */
+function parseUrlState(search) {
+    const params = new URLSearchParams(search);
+    const filtros = { ...estadoInicialUsuarios.filtros };
+
+    Object.keys(PARAMETROS_URL).forEach(campo => {
+        if (!params.has(campo)) return;
+        const valor = params.get(campo);
+        const permitidos = PARAMETROS_URL[campo];
+        if (permitidos === null || permitidos.includes(valor)) {
+            filtros[campo] = valor;
+        }
+    });
+
+    const pagina = Number(params.get('pagina'));
+    const limite = params.has('limite') ? Number(params.get('limite')) : LIMITE_POR_DEFECTO;
+    const editar = Number(params.get('editar'));
+    return {
+        filtros,
+        orden: params.has('orden') ? parseSort(params.get('orden')) : null,
+        pagina: Number.isInteger(pagina) && pagina > 1 ? pagina : 1,
+        limite: TAMANOS_PAGINA.includes(limite) ? limite : LIMITE_POR_DEFECTO,
+        editar: Number.isInteger(editar) && editar > 0 ? editar : null
+    };
+}
+
+/**
+ * Escribir el estado en un query string, conservando los demás parámetros.
+ * Devuelve '?busqueda=ana&editar=5' o '' si todo está por defecto.
+ */
+function buildUrlState(state, search) {
+    const params = new URLSearchParams(search);
+
+    Object.keys(PARAMETROS_URL).forEach(campo => {
+        if (state.filtros[campo] === estadoInicialUsuarios.filtros[campo]) {
+            params.delete(campo);
+        } else {
+            params.set(campo, state.filtros[campo]);
+        }
+    });
+
+    if (sameSort(state.orden, ORDEN_POR_DEFECTO)) {
+        params.delete('orden');
+    } else {
+        params.set('orden', formatSort(state.orden));
+    }
+
+    const { pagina, limite } = selectPaginacion(state);
+    if (pagina === 1) {
+        params.delete('pagina');
+    } else {
+        params.set('pagina', pagina);
+    }
+    if (limite === LIMITE_POR_DEFECTO) {
+        params.delete('limite');
+    } else {
+        params.set('limite', limite);
+    }
+
+    const editar = selectUsuarioEnEdicion(state);
+    if (editar === null) {
+        params.delete('editar');
+    } else {
+        params.set('editar', editar);
+    }
+
+    return toSearch(params);
+}
+
+/**
+ * URLSearchParams → '?a=1&b=2' (o '' si no hay parámetros)
+ * ':' y ',' se dejan sin codificar (son válidos en un query string):
+ * orden=nombre:asc,email:desc en lugar de orden=nombre%3Aasc%2Cemail%3Adesc
+ */
+function toSearch(params) {
+    const texto = params.toString().replace(/%3A/gi, ':').replace(/%2C/gi, ',');
+    return texto ? `?${texto}` : '';
+}
+
+/**
+ * ¿Dos objetos de filtros tienen los mismos valores?
+ */
+function sameFilters(a, b) {
+    return Object.keys(PARAMETROS_URL).every(campo => a[campo] === b[campo]);
+}
+
+/**
+ * [{ campo, direccion }, ...] → 'tipo_usuario:desc,nombre:asc'
+ */
+function formatSort(orden) {
+    return orden.map(o => `${o.campo}:${o.direccion.toLowerCase()}`).join(',');
+}
+
+/**
+ * 'tipo_usuario:desc,nombre:asc' → [{ campo, direccion }, ...]
+ * Columnas fuera de COLUMNAS_ORDENABLES se descartan.
+ */
+function parseSort(texto) {
+    const orden = [];
+    texto.split(',').forEach(parte => {
+        const [campo, direccion = 'asc'] = parte.split(':');
+        if (!COLUMNAS_ORDENABLES.includes(campo) || orden.some(o => o.campo === campo)) return;
+        orden.push({ campo, direccion: direccion.toLowerCase() === 'desc' ? 'DESC' : 'ASC' });
+    });
+    return orden.length > 0 ? orden : ORDEN_POR_DEFECTO;
+}
@@ -0,0 +1,717 @@
+// ============================================================================
+// ARCHIVO: usersStore.js
+// UBICACIÓN: js/store/usersStore.js
+// PROPÓSITO: Estado de la pantalla de usuarios: forma, reducer y selectores
+// ============================================================================
+//
+// FORMA DEL ESTADO:
+// ============================================================================
+// {
+//     usuarios: [...],               ← Lista que devolvió get_users.php
+//     estadisticas: {...},           ← total, admins, normales, activos
+//     formulario: {                  ← Formulario crear/editar
+//         id: null | 5,              ← null = CREAR, número = EDITAR
+//         datos: null | {...}        ← Valores a cargar en los inputs
+//     },
+//     edicionEnLinea: null | {       ← Celda en edición dentro de la tabla
+//         id, campo,                 ← Usuario y campo (nombre, email, tipo_usuario)
+//         original, version,         ← Valor y fecha_actualizacion al empezar
+//         valor, error               ← Lo escrito y el error de validación (o null)
+//     },
+//     filtros: { busqueda, tipo, activo, agrupar },
+//     orden: [                       ← Una o varias columnas (Shift+clic)
+//         { campo: 'nombre', direccion: 'ASC' }
+//     ],
+//     paginacion: {                  ← Página pedida y totales del servidor
+//         pagina: 1, limite: 25,     ← Lo que elige el usuario
+//         total: 0, paginas: 1       ← Lo que devuelve get_users.php
+//     },
+//     seleccion: [{...}, ...],       ← Usuarios marcados (acciones masivas)
+//     columnas: {                    ← Columnas configurables de la tabla
+//         orden: ['avatar', ...],    ← Todas, en el orden elegido
+//         ocultas: ['id', ...]       ← Las que no se muestran
+//     },
+//     vista: {                       ← Tabla o tarjetas
+//         preferida: 'auto',         ← Lo elegido: auto | tabla | tarjetas
+//         pantallaChica: false       ← ¿Ancho por debajo del breakpoint?
+//     },
+//     grupos: [{ clave, total }],    ← Usuarios por grupo (todas las páginas)
+//     gruposColapsados: ['admin'],   ← Grupos con las filas ocultas
+//     filasExpandidas: [5],          ← ids con el panel de detalle abierto
+//     notificaciones: {              ← Historial de cada usuario expandido
+//         5: {
+//             tipo: '' | 'email',    ← Canal filtrado ('' = todos)
+//             estado: 'cargando' | 'listo' | 'error',
+//             lista: [...],          ← Páginas ya recibidas, una tras otra
+//             conteo, paginacion,    ← Lo que devuelve get_notifications.php
+//             error                  ← Mensaje si estado es 'error'
+//         }
+//     },
+//     mutacionesPendientes: [...],   ← Copia de la cola offline
+//     filasResaltadas: [3, 7],       ← ids cambiados por otras personas
+//     carga: { visible, mensaje }    ← Spinner "Cargando..." / "Reintentando..."
+// }
+//
+// REGLA DE ORO DEL REDUCER:
+// - NUNCA modifica el estado recibido: devuelve un objeto NUEVO
+//   ({ ...state, usuarios: [...] }). Así Store.select() detecta el cambio
+//   comparando referencias.
+// ============================================================================
+
+const COLUMNAS_ORDENABLES = ['id', 'nombre', 'email', 'tipo_usuario', 'activo', 'fecha_creacion'];
+const ORDEN_POR_DEFECTO = [{ campo: 'id', direccion: 'DESC' }];
+// ============================================================================
+// Ordenamiento
+// - COLUMNAS_ORDENABLES: misma lista blanca que UserRepository::buildOrderBy()
+// - Por defecto: id DESC (los más recientes primero)
+// ============================================================================
+
+const TAMANOS_PAGINA = [10, 25, 50, 100, 0];
+const LIMITE_POR_DEFECTO = 25;
+// ============================================================================
+// Paginación
+// - TAMANOS_PAGINA: opciones del <select> "Por página" (máximo 100, el
+//   mismo tope que aplica get_users.php)
+// - 0 = Todos: se pide la lista sin ?limite= (la tabla virtual dibuja
+//   solo las filas visibles, ver VirtualTable.js)
+// ============================================================================
+
+const AGRUPACIONES = ['tipo_usuario', 'activo', 'dominio', 'mes'];
+// ============================================================================
+// Modos de agrupar la tabla (filtros.agrupar, '' = sin agrupar)
+// Mismas claves que UserRepository::AGRUPACIONES: get_users.php ordena
+// primero por el grupo y devuelve el total de cada uno
+// ============================================================================
+
+const VISTAS = ['auto', 'tabla', 'tarjetas'];
+// ============================================================================
+// Vista de la lista: 'auto' = tarjetas en pantallas chicas, tabla en el
+// resto (ver selectVistaActual())
+// ============================================================================
+
+const COLUMNAS_TABLA = ['id', 'avatar', 'nombre', 'email', 'tipo_usuario', 'activo', 'fecha_creacion', 'fecha_actualizacion'];
+const COLUMNAS_POR_DEFECTO = {
+    orden: COLUMNAS_TABLA,
+    ocultas: ['id', 'fecha_actualizacion']
+};
+// ============================================================================
+// Columnas de la tabla (ver COLUMNAS_USUARIOS en app.js para el título y
+// la celda de cada una)
+// - Se pueden ocultar y reordenar; la preferencia se guarda en localStorage
+// - La casilla de selección (primera) y Acciones (última) quedan fijas
+// ============================================================================
+
+const estadoInicialUsuarios = {
+    usuarios: [],
+    estadisticas: { total: 0, admins: 0, normales: 0, activos: 0 },
+    formulario: { id: null, datos: null },
+    edicionEnLinea: null,
+    filtros: { busqueda: '', tipo: '', activo: '1', agrupar: '' },
+    orden: ORDEN_POR_DEFECTO,
+    paginacion: { pagina: 1, limite: LIMITE_POR_DEFECTO, total: 0, paginas: 1 },
+    seleccion: [],
+    columnas: COLUMNAS_POR_DEFECTO,
+    vista: { preferida: 'auto', pantallaChica: false },
+    grupos: [],
+    gruposColapsados: [],
+    filasExpandidas: [],
+    notificaciones: {},
+    mutacionesPendientes: [],
+    filasResaltadas: [],
+    carga: { visible: false, mensaje: 'Cargando usuarios...' }
+};
+
+/**
+ * ============================================================================
+ * REDUCER: usersReducer(state, accion) → state
+ * ============================================================================
+ * ACCIONES:
+ * - usuarios/cargados        { usuarios }
+ * - usuarios/insertado       { indice, usuario }   (en una posición)
+ * - usuarios/reemplazado     { id, usuario }
+ * - usuarios/eliminado       { id }
+ * - estadisticas/actualizadas { estadisticas }
+ * - formulario/editar        { id, datos }
+ * - formulario/rellenar      { datos }             (sin cambiar de modo)
+ * - formulario/limpiar
+ * - enLinea/iniciada         { id, campo, original, version, valor?, error? }
+ * - enLinea/invalida         { valor, error }
+ * - enLinea/terminada                              (guardada o cancelada)
+ * - filtros/cambiados        { filtros }           (parcial, vuelve a la página 1 y vacía la selección)
+ * - grupos/recibidos         { grupos }            (respuesta del servidor)
+ * - grupos/alternado         { clave }             (colapsa o despliega un grupo)
+ * - orden/cambiado           { orden }             (vuelve a la página 1)
+ * - paginacion/pagina        { pagina }
+ * - paginacion/limite        { limite }            (vuelve a la página 1)
+ * - paginacion/recibida      { paginacion }        (respuesta del servidor)
+ * - seleccion/agregada       { usuarios }
+ * - seleccion/quitada        { ids }
+ * - seleccion/limpiada
+ * - columnas/cambiadas       { columnas }          (preferencia guardada o por defecto)
+ * - columnas/visibilidad     { clave, visible }
+ * - columnas/movida          { clave, destino }    (ocupa el lugar de destino)
+ * - vista/preferida          { vista }             (auto | tabla | tarjetas)
+ * - vista/pantalla           { chica }             (cambió el ancho de la ventana)
+ * - detalle/alternado        { id }                (abre o cierra el panel)
+ * - notificaciones/pedidas   { id, tipo, pagina }  (pagina > 1 agrega a la lista)
+ * - notificaciones/recibidas { id, tipo, notificaciones, conteo, paginacion }
+ * - notificaciones/fallidas  { id, tipo, error }
+ * - pendientes/actualizados  { mutaciones }
+ * - resaltado/agregado       { ids }
+ * - resaltado/quitado        { ids }
+ * - carga/cambiada           { visible, mensaje }
+ * ============================================================================
+ */
+function usersReducer(state, accion) {
+    switch (accion.type) {
+        case 'usuarios/cargados': {
+            const enLinea = state.edicionEnLinea;
+            const sigue = enLinea && accion.usuarios.some(u => u.id === enLinea.id);
+            return { ...state, usuarios: accion.usuarios, edicionEnLinea: sigue ? enLinea : null };
+        }
+        // ====================================================================
+        // Si el usuario en edición en línea ya no está en la lista nueva
+        // (otra página, otros filtros) la edición se cierra
+        // ====================================================================
+
+        case 'usuarios/insertado': {
+            const usuarios = state.usuarios.slice();
+            usuarios.splice(Math.min(accion.indice, usuarios.length), 0, accion.usuario);
+            return { ...state, usuarios };
+        }
+
+        case 'usuarios/reemplazado':
+            if (!state.usuarios.some(u => u.id === accion.id)) return state;
+            return {
+                ...state,
+                usuarios: state.usuarios.map(u => (u.id === accion.id ? accion.usuario : u))
+            };
+
+        case 'usuarios/eliminado':
+            if (!state.usuarios.some(u => u.id === accion.id)) return state;
+            return { ...state, usuarios: state.usuarios.filter(u => u.id !== accion.id) };
+
+        case 'estadisticas/actualizadas':
+            return { ...state, estadisticas: { ...accion.estadisticas } };
+
+        case 'formulario/editar':
+            return { ...state, formulario: { id: accion.id, datos: accion.datos } };
+
+        case 'formulario/rellenar':
+            return { ...state, formulario: { id: state.formulario.id, datos: accion.datos } };
+
+        case 'formulario/limpiar':
+            return { ...state, formulario: { id: null, datos: null } };
+
+        case 'enLinea/iniciada':
+            return {
+                ...state,
+                edicionEnLinea: {
+                    id: accion.id,
+                    campo: accion.campo,
+                    original: accion.original,
+                    version: accion.version,
+                    valor: accion.valor === undefined ? null : accion.valor,
+                    error: accion.error || null
+                }
+            };
+
+        case 'enLinea/invalida':
+            if (!state.edicionEnLinea) return state;
+            return { ...state, edicionEnLinea: { ...state.edicionEnLinea, valor: accion.valor, error: accion.error } };
+
+        case 'enLinea/terminada':
+            if (!state.edicionEnLinea) return state;
+            return { ...state, edicionEnLinea: null };
+        // ====================================================================
+        // - valor null = el input empieza con el valor original
+        // - original / version se fijan al empezar: si un sondeo o otra
+        //   pestaña cambian al usuario mientras se edita, al guardar se
+        //   envía la versión vieja y update_user.php responde 409
+        // ====================================================================
+
+        case 'filtros/cambiados': {
+            const filtros = { ...state.filtros, ...accion.filtros };
+            if (Object.keys(filtros).every(campo => filtros[campo] === state.filtros[campo])) return state;
+            const otraAgrupacion = filtros.agrupar !== state.filtros.agrupar;
+            return {
+                ...state,
+                filtros,
+                paginacion: firstPage(state.paginacion),
+                seleccion: state.seleccion.length > 0 ? [] : state.seleccion,
+                grupos: otraAgrupacion ? [] : state.grupos,
+                gruposColapsados: otraAgrupacion ? [] : state.gruposColapsados
+            };
+        }
+        // ====================================================================
+        // Otra agrupación: los grupos colapsados y sus totales eran de la
+        // anterior ('admin' no es un dominio)
+        // ====================================================================
+
+        case 'grupos/recibidos': {
+            const grupos = accion.grupos || [];
+            const iguales = grupos.length === state.grupos.length
+                && grupos.every((g, i) => g.clave === state.grupos[i].clave && g.total === state.grupos[i].total);
+            return iguales ? state : { ...state, grupos };
+        }
+        // ====================================================================
+        // pollUsers() recibe los mismos totales cada 10 s: si no cambiaron
+        // no se vuelve a dibujar la tabla
+        // ====================================================================
+
+        case 'grupos/alternado':
+            return {
+                ...state,
+                gruposColapsados: state.gruposColapsados.includes(accion.clave)
+                    ? state.gruposColapsados.filter(clave => clave !== accion.clave)
+                    : [...state.gruposColapsados, accion.clave]
+            };
+
+        case 'orden/cambiado': {
+            const orden = accion.orden.length > 0 ? accion.orden : ORDEN_POR_DEFECTO;
+            if (sameSort(orden, state.orden)) return state;
+            return { ...state, orden, paginacion: firstPage(state.paginacion) };
+        }
+        // ====================================================================
+        // Filtros u orden nuevos → otra lista: se vuelve a la página 1
+        // Mismos valores (ej: Atrás a una URL que solo cambia ?editar=)
+        // → mismo estado, así no se vuelve a pedir la lista
+        // Con otros filtros la selección se vacía: una acción masiva nunca
+        // debe tocar usuarios que ya no se ven
+        // ====================================================================
+
+        case 'paginacion/pagina':
+            if (accion.pagina === state.paginacion.pagina) return state;
+            return { ...state, paginacion: { ...state.paginacion, pagina: accion.pagina } };
+
+        case 'paginacion/limite':
+            if (accion.limite === state.paginacion.limite) return state;
+            return { ...state, paginacion: { ...firstPage(state.paginacion), limite: accion.limite } };
+
+        case 'paginacion/recibida': {
+            const paginacion = { ...state.paginacion, ...accion.paginacion };
+            if (Object.keys(paginacion).every(k => paginacion[k] === state.paginacion[k])) return state;
+            return { ...state, paginacion };
+        }
+        // ====================================================================
+        // pollUsers() recibe la misma paginación cada 10 s: si nada cambió
+        // no se vuelven a dibujar los controles
+        // ====================================================================
+
+        case 'seleccion/agregada': {
+            const nuevos = accion.usuarios.filter(u => !state.seleccion.some(s => s.id === u.id));
+            if (nuevos.length === 0) return state;
+            return { ...state, seleccion: [...state.seleccion, ...nuevos] };
+        }
+
+        case 'seleccion/quitada':
+            if (!state.seleccion.some(u => accion.ids.includes(u.id))) return state;
+            return { ...state, seleccion: state.seleccion.filter(u => !accion.ids.includes(u.id)) };
+
+        case 'seleccion/limpiada':
+            if (state.seleccion.length === 0) return state;
+            return { ...state, seleccion: [] };
+        // ====================================================================
+        // La selección guarda una COPIA de cada usuario (no solo el id):
+        // sigue disponible al cambiar de página, cuando la fila ya no está
+        // en state.usuarios
+        // ====================================================================
+
+        case 'columnas/cambiadas': {
+            const columnas = normalizeColumns(accion.columnas);
+            if (sameColumns(columnas, state.columnas)) return state;
+            return { ...state, columnas };
+        }
+
+        case 'columnas/visibilidad': {
+            const ocultas = state.columnas.ocultas.filter(c => c !== accion.clave);
+            if (!accion.visible) ocultas.push(accion.clave);
+            if (ocultas.length >= COLUMNAS_TABLA.length) return state;
+            // ================================================================
+            // Siempre queda al menos una columna visible
+            // ================================================================
+            const columnas = { ...state.columnas, ocultas };
+            if (sameColumns(columnas, state.columnas)) return state;
+            return { ...state, columnas };
+        }
+
+        case 'columnas/movida': {
+            const { clave, destino } = accion;
+            if (clave === destino || !state.columnas.orden.includes(destino)) return state;
+            const orden = state.columnas.orden.filter(c => c !== clave);
+            orden.splice(state.columnas.orden.indexOf(destino), 0, clave);
+            return { ...state, columnas: { ...state.columnas, orden } };
+        }
+        // ====================================================================
+        // "Ocupa el lugar de destino": arrastrada desde la izquierda queda
+        // después de destino; desde la derecha, antes
+        //   ['a', 'b', 'c', 'd'] mover a → c  →  ['b', 'c', 'a', 'd']
+        //   ['a', 'b', 'c', 'd'] mover d → b  →  ['a', 'd', 'b', 'c']
+        // ====================================================================
+
+        case 'vista/preferida': {
+            const preferida = VISTAS.includes(accion.vista) ? accion.vista : 'auto';
+            if (preferida === state.vista.preferida) return state;
+            return { ...state, vista: { ...state.vista, preferida } };
+        }
+
+        case 'vista/pantalla':
+            if (accion.chica === state.vista.pantallaChica) return state;
+            return { ...state, vista: { ...state.vista, pantallaChica: accion.chica } };
+
+        case 'detalle/alternado':
+            return {
+                ...state,
+                filasExpandidas: state.filasExpandidas.includes(accion.id)
+                    ? state.filasExpandidas.filter(id => id !== accion.id)
+                    : [...state.filasExpandidas, accion.id]
+            };
+
+        case 'notificaciones/pedidas': {
+            const previo = state.notificaciones[accion.id];
+            const agregar = previo && previo.tipo === accion.tipo && accion.pagina > 1;
+            return {
+                ...state,
+                notificaciones: {
+                    ...state.notificaciones,
+                    [accion.id]: {
+                        tipo: accion.tipo,
+                        estado: 'cargando',
+                        lista: agregar ? previo.lista : [],
+                        conteo: previo ? previo.conteo : null,
+                        paginacion: agregar ? previo.paginacion : null,
+                        error: null
+                    }
+                }
+            };
+        }
+        // ====================================================================
+        // "Ver más" (pagina > 1) conserva lo ya listado mientras llega la
+        // página siguiente; otro canal empieza de cero
+        // conteo se conserva: los botones de canal siguen mostrando números
+        // ====================================================================
+
+        case 'notificaciones/recibidas': {
+            const previo = state.notificaciones[accion.id];
+            if (!previo || previo.tipo !== accion.tipo || previo.estado !== 'cargando') return state;
+            return {
+                ...state,
+                notificaciones: {
+                    ...state.notificaciones,
+                    [accion.id]: {
+                        ...previo,
+                        estado: 'listo',
+                        lista: [...previo.lista, ...accion.notificaciones],
+                        conteo: accion.conteo,
+                        paginacion: accion.paginacion
+                    }
+                }
+            };
+        }
+
+        case 'notificaciones/fallidas': {
+            const previo = state.notificaciones[accion.id];
+            if (!previo || previo.tipo !== accion.tipo || previo.estado !== 'cargando') return state;
+            return {
+                ...state,
+                notificaciones: { ...state.notificaciones, [accion.id]: { ...previo, estado: 'error', error: accion.error } }
+            };
+        }
+        // ====================================================================
+        // Respuesta de un canal que ya no está elegido (se cambió de filtro
+        // antes de que llegara) → se descarta
+        // ====================================================================
+
+        case 'pendientes/actualizados':
+            return { ...state, mutacionesPendientes: accion.mutaciones };
+
+        case 'resaltado/agregado':
+            return {
+                ...state,
+                filasResaltadas: [...new Set([...state.filasResaltadas, ...accion.ids])]
+            };
+
+        case 'resaltado/quitado':
+            return {
+                ...state,
+                filasResaltadas: state.filasResaltadas.filter(id => !accion.ids.includes(id))
+            };
+
+        case 'carga/cambiada':
+            return {
+                ...state,
+                carga: { visible: accion.visible, mensaje: accion.mensaje || estadoInicialUsuarios.carga.mensaje }
+            };
+
+        default:
+            return state;
+            // ================================================================
+            // Acción desconocida → mismo estado (no se notifica a nadie)
+            // ================================================================
+    }
+}
+
+/**
+ * Misma paginación en la página 1 (o el mismo objeto si ya lo estaba,
+ * para no avisar a los suscriptores sin motivo).
+ */
+function firstPage(paginacion) {
+    return paginacion.pagina === 1 ? paginacion : { ...paginacion, pagina: 1 };
+}
+
+/**
+ * Columnas guardadas (localStorage, puede ser de una versión anterior) →
+ * columnas válidas:
+ * - Se descartan claves desconocidas o repetidas
+ * - Las columnas nuevas que falten se agregan al final, visibles
+ * - Si todas quedarían ocultas se vuelve a la configuración por defecto
+ */
+function normalizeColumns(columnas) {
+    const orden = Array.isArray(columnas && columnas.orden)
+        ? columnas.orden.filter((c, i, lista) => COLUMNAS_TABLA.includes(c) && lista.indexOf(c) === i)
+        : [];
+    COLUMNAS_TABLA.forEach(c => {
+        if (!orden.includes(c)) orden.push(c);
+    });
+
+    const ocultas = Array.isArray(columnas && columnas.ocultas)
+        ? COLUMNAS_TABLA.filter(c => columnas.ocultas.includes(c))
+        : COLUMNAS_POR_DEFECTO.ocultas;
+    if (ocultas.length >= COLUMNAS_TABLA.length) return COLUMNAS_POR_DEFECTO;
+
+    return { orden, ocultas };
+}
+
+function sameColumns(a, b) {
+    return a.orden.join() === b.orden.join()
+        && a.ocultas.length === b.ocultas.length
+        && a.ocultas.every(c => b.ocultas.includes(c));
+}
+
+// ============================================================================
+// SELECTORES
+// ============================================================================
+// Funciones puras que leen o derivan datos del estado.
+// La interfaz las usa en lugar de acceder a las propiedades directamente,
+// así un cambio en la forma del estado solo toca este archivo.
+// ============================================================================
+
+const selectUsuarios = (state) => state.usuarios;
+const selectUsuarioEnEdicion = (state) => state.formulario.id;
+const selectEdicionEnLinea = (state) => state.edicionEnLinea;
+const selectUsuarioPorId = (state, id) => state.usuarios.find(u => u.id === id) || null;
+const selectOrden = (state) => state.orden;
+const selectPaginacion = (state) => state.paginacion;
+const selectSeleccion = (state) => state.seleccion;
+const selectColumnas = (state) => state.columnas;
+const selectColumnasVisibles = (state) => state.columnas.orden.filter(c => !state.columnas.ocultas.includes(c));
+const selectIdsSeleccionados = (state) => state.seleccion.map(u => u.id);
+const selectNotificaciones = (state, id) => state.notificaciones[id] || null;
+const selectVistaActual = (state) => (state.vista.preferida === 'auto'
+    ? (state.vista.pantallaChica ? 'tarjetas' : 'tabla')
+    : state.vista.preferida);
+
+/**
+ * Filas a dibujar: usuarios del servidor + operaciones de la cola offline.
+ * - Altas pendientes al principio (id: null, _pendiente: 'create', _clave)
+ * - Usuarios existentes con los cambios pendientes ya aplicados
+ *   (_pendiente: 'update' o 'delete')
+ */
+function selectFilas(state) {
+    const altas = state.mutacionesPendientes
+        .filter(m => m.accion === 'create')
+        .map(m => ({
+            ...m.usuario,
+            id: null,
+            activo: true,
+            fecha_creacion: m.fecha,
+            _pendiente: 'create',
+            _clave: `pendiente-${m.id}`
+        }));
+    // ========================================================================
+    // _clave: las altas pendientes no tienen id todavía; el id de la cola
+    // offline identifica su fila en la tabla (ver VirtualTable)
+    // ========================================================================
+
+    const cambios = new Map();
+    state.mutacionesPendientes
+        .filter(m => m.accion !== 'create')
+        .forEach(m => {
+            const previo = cambios.get(m.usuario.id) || {};
+            const datos = m.accion === 'update' ? m.usuario : {};
+            cambios.set(m.usuario.id, { ...previo, ...datos, _pendiente: m.accion });
+        });
+    // ========================================================================
+    // Map id → cambios acumulados (la última operación define el badge)
+    // ========================================================================
+
+    return [
+        ...altas,
+        ...state.usuarios.map(u => (cambios.has(u.id) ? { ...u, ...cambios.get(u.id) } : u))
+    ];
+}
+
+/**
+ * Filas de la tabla: selectFilas() y, debajo de cada usuario expandido,
+ * la fila de su panel de detalle ({ _detalle: true, _clave, usuario }).
+ *
+ * Agrupando (filtros.agrupar), cada grupo empieza con su encabezado
+ * ({ _grupo: true, _clave, clave, total, enPagina, colapsado }) y las
+ * filas de un grupo colapsado no se incluyen.
+ */
+function selectFilasTabla(state) {
+    const filas = selectFilas(state);
+    const conDetalle = fila => (fila.id !== null && state.filasExpandidas.includes(fila.id)
+        ? [fila, { _detalle: true, _clave: `detalle-${fila.id}`, usuario: fila }]
+        : [fila]);
+
+    const { agrupar } = state.filtros;
+    if (!agrupar) return filas.flatMap(conDetalle);
+
+    const grupos = new Map();
+    filas.forEach(fila => {
+        const clave = groupKey(fila, agrupar);
+        if (!grupos.has(clave)) grupos.set(clave, []);
+        grupos.get(clave).push(fila);
+    });
+    // ========================================================================
+    // El servidor ya envía cada grupo junto; el Map además reúne las altas
+    // pendientes (arriba de todo) con el resto de su grupo
+    // ========================================================================
+
+    return [...grupos].flatMap(([clave, miembros]) => {
+        const delServidor = state.grupos.find(g => g.clave === clave);
+        const colapsado = state.gruposColapsados.includes(clave);
+        return [
+            {
+                _grupo: true,
+                _clave: `grupo-${clave}`,
+                clave,
+                total: delServidor ? delServidor.total : miembros.length,
+                enPagina: miembros.length,
+                colapsado
+            },
+            ...(colapsado ? [] : miembros.flatMap(conDetalle))
+        ];
+    });
+    // ========================================================================
+    // total: usuarios del grupo en TODAS las páginas (get_users.php);
+    // enPagina: los que trae esta página
+    // ========================================================================
+}
+
+/**
+ * Grupo de un usuario según la agrupación (misma clave que
+ * UserRepository::AGRUPACIONES):
+ * - tipo_usuario → 'admin' | 'normal'
+ * - activo       → '1' | '0'
+ * - dominio      → 'empresa.com' (en minúsculas)
+ * - mes          → '2024-01'
+ */
+function groupKey(usuario, agrupar) {
+    switch (agrupar) {
+        case 'tipo_usuario':
+            return usuario.tipo_usuario;
+        case 'activo':
+            return usuario.activo ? '1' : '0';
+        case 'dominio':
+            return usuario.email.split('@').pop().toLowerCase();
+        case 'mes':
+            return String(usuario.fecha_creacion).slice(0, 7);
+        default:
+            return '';
+    }
+}
+
+/**
+ * ¿El usuario cumple los filtros actuales?
+ * Misma lógica que get_users.php (tipo, activo, LIKE en nombre/email,
+ * sin distinguir acentos como la collation de MySQL).
+ */
+function selectCumpleFiltros(state, usuario) {
+    const { busqueda, tipo, activo } = state.filtros;
+    const texto = normalizeSearch(busqueda);
+
+    if (tipo && usuario.tipo_usuario !== tipo) return false;
+    if (activo && Boolean(usuario.activo) !== (activo === '1')) return false;
+    if (texto
+        && !normalizeSearch(usuario.nombre).includes(texto)
+        && !normalizeSearch(usuario.email).includes(texto)) {
+        return false;
+    }
+    return true;
+}
+
+// ============================================================================
+// ORDENAMIENTO
+// ============================================================================
+
+/**
+ * Orden nuevo tras hacer clic en el encabezado de una columna.
+ *
+ * Clic normal (multiple = false):
+ * - Columna que ya es la ÚNICA del orden → invierte ASC ↔ DESC
+ * - Cualquier otra → pasa a ser la única, ASC
+ *
+ * Shift+clic (multiple = true): agrega columnas de desempate
+ * - Columna nueva → se agrega al final, ASC
+ * - ASC → DESC → se quita del orden
+ */
+function toggleSort(orden, campo, multiple) {
+    const actual = orden.find(o => o.campo === campo);
+
+    if (!multiple) {
+        const invertir = actual && orden.length === 1;
+        return [{ campo, direccion: invertir && actual.direccion === 'ASC' ? 'DESC' : 'ASC' }];
+    }
+
+    const base = sameSort(orden, ORDEN_POR_DEFECTO) ? [] : orden;
+    // ========================================================================
+    // El orden por defecto (id DESC) no tiene encabezado visible: Shift+clic
+    // sobre él empieza un orden nuevo en lugar de agregarle columnas
+    // ========================================================================
+
+    if (!actual || base.length === 0) return [...base, { campo, direccion: 'ASC' }];
+    if (actual.direccion === 'ASC') {
+        return base.map(o => (o.campo === campo ? { campo, direccion: 'DESC' } : o));
+    }
+    return base.filter(o => o.campo !== campo);
+    // ========================================================================
+    // Si queda vacío, el reducer vuelve a ORDEN_POR_DEFECTO
+    // ========================================================================
+}
+
+function sameSort(a, b) {
+    return a.length === b.length
+        && a.every((o, i) => o.campo === b[i].campo && o.direccion === b[i].direccion);
+}
+
+/**
+ * Comparador de usuarios con el mismo criterio que el servidor
+ * (desempate final por id). Sirve para insertar una fila en su lugar
+ * sin volver a pedir la lista.
+ *
+ * Un alta optimista todavía no tiene id real (el temporal es negativo):
+ * se ordena como el id más alto, que es el que le dará AUTO_INCREMENT.
+ */
+function sortComparator(orden) {
+    const criterios = orden.some(o => o.campo === 'id')
+        ? orden
+        : [...orden, { campo: 'id', direccion: 'ASC' }];
+
+    const valor = (usuario, campo) => (campo === 'id' && usuario._optimista ? Infinity : usuario[campo]);
+    const comparar = (a, b) => (typeof a === 'string'
+        ? a.localeCompare(b, 'es', { sensitivity: 'base' })
+        : Number(a) - Number(b) || 0);
+    // ========================================================================
+    // || 0: Infinity - Infinity es NaN (dos altas optimistas) → empate
+    // ========================================================================
+
+    return (a, b) => {
+        for (const { campo, direccion } of criterios) {
+            const resultado = comparar(valor(a, campo), valor(b, campo));
+            if (resultado !== 0) return direccion === 'DESC' ? -resultado : resultado;
+        }
+        return 0;
+    };
+}
@@ -0,0 +1,189 @@
+// ============================================================================
+// ARCHIVO: html.js
+// UBICACIÓN: js/utils/html.js
+// PROPÓSITO: Plantillas HTML que escapan los datos por defecto
+// ============================================================================
+//
+// DESCRIPCIÓN GENERAL:
+// Las filas de la tabla se armaban con template literals normales:
+//
+//   `<div class="user-name">${user.nombre}</div>`
+//
+// Si el nombre guardado es  <img src=x onerror="alert(document.cookie)">
+// el navegador lo interpreta como HTML y ejecuta el script en la sesión
+// del administrador que abre la lista (XSS almacenado).
+//
+// Con la etiqueta html`...` cada ${valor} se ESCAPA antes de insertarse:
+//
+//   html`<div class="user-name">${user.nombre}</div>`
+//   → <div class="user-name">&lt;img src=x onerror=&quot;...&quot;&gt;</div>
+//   → el navegador muestra el texto tal cual, no lo ejecuta
+//
+// REGLAS:
+// - html`...` devuelve un SafeHtml (HTML ya revisado), no un string
+// - Un SafeHtml dentro de otro html`...` NO se vuelve a escapar
+//   (así se componen plantillas: filas dentro de una tabla)
+// - Arrays: se escapa cada elemento y se unen sin separador
+// - null / undefined / false: no se insertan (útil en condicionales)
+// - trustedHtml(texto): opción EXPLÍCITA para HTML de confianza
+//   (constantes del propio código, nunca datos de la API)
+// - setHtml(elemento, safe): único punto que asigna innerHTML; rechaza
+//   cualquier cosa que no sea SafeHtml
+// - highlightMatches(texto, busqueda): el texto escapado con las
+//   coincidencias dentro de <mark> (sin distinguir acentos)
+// ============================================================================
+
+class SafeHtml {
+    constructor(html) {
+        this.html = html;
+    }
+
+    toString() {
+        return this.html;
+    }
+}
+
+const ESCAPES_HTML = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+// ============================================================================
+// Caracteres con significado en HTML
+// - < > abren y cierran etiquetas
+// - " ' cierran el valor de un atributo (ej: title="${valor}")
+// - & empieza una entidad (&lt;)
+// ============================================================================
+
+/**
+ * Escapar un valor para insertarlo como texto o como valor de atributo
+ * (siempre entre comillas).
+ */
+function escapeHtml(valor) {
+    return String(valor).replace(/[&<>"'`]/g, caracter => ESCAPES_HTML[caracter]);
+}
+
+/**
+ * Convertir un valor interpolado en HTML seguro.
+ */
+function toSafeHtml(valor) {
+    if (valor instanceof SafeHtml) return valor.html;
+    if (Array.isArray(valor)) return valor.map(toSafeHtml).join('');
+    if (valor === null || valor === undefined || valor === false) return '';
+    return escapeHtml(valor);
+}
+
+/**
+ * Etiqueta de plantilla: html`<p>${texto}</p>` → SafeHtml
+ *
+ * strings: partes fijas escritas en el código (de confianza)
+ * valores: lo que va dentro de ${...} (se escapa)
+ */
+function html(strings, ...valores) {
+    let resultado = strings[0];
+    valores.forEach((valor, i) => {
+        resultado += toSafeHtml(valor) + strings[i + 1];
+    });
+    return new SafeHtml(resultado);
+}
+
+/**
+ * Marcar un string como HTML de confianza (NO se escapa).
+ * Solo para HTML escrito en el propio código; nunca para datos del
+ * servidor, de la URL o de un archivo importado.
+ */
+function trustedHtml(texto) {
+    return new SafeHtml(String(texto));
+}
+
+/**
+ * Reemplazar el contenido de un elemento con HTML seguro.
+ */
+function setHtml(elemento, contenido) {
+    if (!(contenido instanceof SafeHtml)) {
+        throw new TypeError('setHtml() solo acepta html`...` o trustedHtml()');
+    }
+    elemento.innerHTML = contenido.html;
+    // ========================================================================
+    // Un string común aquí es un error de programación: se lanza en lugar
+    // de insertarlo, así el descuido aparece al probar y no en producción
+    // ========================================================================
+}
+
+/**
+ * Texto en minúsculas y sin acentos, para comparar búsquedas:
+ * 'María Núñez' → 'maria nunez'
+ *
+ * Mismo criterio que la collation utf8mb4_unicode_ci de la base de datos
+ * (LIKE '%maria%' encuentra "María"): el filtro del cliente y el
+ * resaltado coinciden con lo que devuelve el servidor.
+ */
+function normalizeSearch(texto) {
+    return String(texto).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    // ========================================================================
+    // NFD separa cada letra de su acento ('í' → 'i' + '\u0301') y el
+    // replace quita los acentos sueltos (bloque de marcas combinables)
+    // ========================================================================
+}
+
+/**
+ * Texto con las apariciones de `busqueda` marcadas:
+ * highlightMatches('María García', 'gar')
+ * → SafeHtml 'María <mark class="search-match">Gar</mark>cía'
+ *
+ * La comparación ignora mayúsculas y acentos ('maria' marca "María"),
+ * pero lo que se muestra es siempre el texto original, escapado.
+ */
+function highlightMatches(texto, busqueda) {
+    texto = String(texto);
+    const buscado = normalizeSearch(busqueda || '');
+    if (!buscado) return html`${texto}`;
+
+    let plano = '';
+    const inicios = [];
+    const fines = [];
+    let posicion = 0;
+    for (const caracter of texto) {
+        const normal = normalizeSearch(caracter);
+        for (let i = 0; i < normal.length; i++) {
+            inicios.push(posicion);
+            fines.push(posicion + caracter.length);
+        }
+        plano += normal;
+        posicion += caracter.length;
+    }
+    // ========================================================================
+    // plano: el texto normalizado ('María' → 'maria')
+    // inicios / fines: para cada carácter de plano, dónde empieza y
+    // termina el carácter ORIGINAL del que salió ('i' → la 'í' de María)
+    // Así una coincidencia en plano se traduce a un tramo del original
+    // aunque los largos no sean iguales
+    // ========================================================================
+
+    const partes = [];
+    let desde = 0;
+    let indice = plano.indexOf(buscado);
+    while (indice !== -1) {
+        const inicio = inicios[indice];
+        let fin = fines[indice + buscado.length - 1];
+        while (fin < texto.length && /[\u0300-\u036f]/.test(texto[fin])) fin++;
+        // ====================================================================
+        // Un acento escrito aparte ('i' + '\u0301') queda dentro de la
+        // marca junto con su letra
+        // ====================================================================
+
+        partes.push(texto.slice(desde, inicio), html`<mark class="search-match">${texto.slice(inicio, fin)}</mark>`);
+        desde = fin;
+        indice = plano.indexOf(buscado, indice + buscado.length);
+    }
+    partes.push(texto.slice(desde));
+
+    return html`${partes}`;
+    // ========================================================================
+    // Cada tramo de texto se escapa como cualquier ${valor}: la única
+    // etiqueta que se agrega es <mark>, escrita aquí en el código
+    // ========================================================================
+}
@@ -0,0 +1,182 @@
+<?php
+/**
+ * =====================================================
+ * API: Acciones Masivas sobre Usuarios
+ * Endpoint: POST /php/api/bulk_users.php
+ * =====================================================
+ *
+ * Cuerpo JSON:
+ * {
+ *     "accion": "activar" | "desactivar" | "eliminar" | "tipo",
+ *     "tipo_usuario": "admin" | "normal",          (solo con accion "tipo")
+ *     "usuarios": [
+ *         { "id": 5, "fecha_actualizacion": "2024-01-15 10:30:00" },
+ *         ...
+ *     ]
+ * }
+ *
+ * Cada usuario se procesa por separado: si uno falla (no existe, otra
+ * persona lo modificó...) los demás se aplican igual. La respuesta trae
+ * un resultado POR USUARIO para que el cliente muestre el informe:
+ * {
+ *     "success": true,
+ *     "data": {
+ *         "resultados": [
+ *             { "id": 5, "success": true, "data": {...usuario...} },
+ *             { "id": 7, "success": false, "error": "...", "conflicto": true, "data": {...} }
+ *         ],
+ *         "exitosos": 1,
+ *         "fallidos": 1
+ *     },
+ *     "stats": {...}
+ * }
+ */
+
+header('Content-Type: application/json; charset=utf-8');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type');
+
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    http_response_code(405);
+    echo json_encode(['success' => false, 'error' => 'Método no permitido']);
+    exit;
+}
+
+require_once __DIR__ . '/../config/Database.php';
+require_once __DIR__ . '/../models/User.php';
+require_once __DIR__ . '/../repositories/UserRepository.php';
+
+const ACCIONES_MASIVAS = ['activar', 'desactivar', 'eliminar', 'tipo'];
+const MAXIMO_USUARIOS_MASIVOS = 1000;
+
+/**
+ * Resultado de un usuario que otra persona modificó después de que el
+ * cliente lo seleccionó (data: la versión actual, para mostrarla).
+ */
+function resultadoConflicto($id, User $user) {
+    return [
+        'id' => $id,
+        'success' => false,
+        'conflicto' => true,
+        'error' => 'Otra persona lo modificó después de seleccionarlo',
+        'data' => $user->toArray()
+    ];
+}
+
+/**
+ * Aplicar la acción a UN usuario.
+ * Devuelve el resultado de ese usuario (nunca lanza: un fallo no
+ * detiene a los demás).
+ */
+function aplicarAccionMasiva(UserRepository $repository, $accion, $tipo, $item) {
+    if (!is_array($item) || !isset($item['id']) || !is_scalar($item['id'])) {
+        return ['id' => null, 'success' => false, 'error' => 'Usuario no válido'];
+    }
+    // Cada elemento debe ser { id, fecha_actualizacion }: con "usuarios": ["5"]
+    // $item['id'] sería un TypeError (no es Exception) y cortaría todo el lote
+
+    $id = $item['id'];
+    $fechaEsperada = isset($item['fecha_actualizacion']) && is_string($item['fecha_actualizacion'])
+        ? $item['fecha_actualizacion']
+        : null;
+
+    try {
+        $user = $id ? $repository->findById($id) : null;
+        if (!$user) {
+            return ['id' => $id, 'success' => false, 'error' => 'Usuario no encontrado'];
+        }
+
+        // Mismo control de concurrencia que update_user.php
+        if ($fechaEsperada !== null && $fechaEsperada !== $user->getFechaActualizacion()) {
+            return resultadoConflicto($id, $user);
+        }
+
+        if ($accion === 'eliminar') {
+            $aplicado = $repository->delete($id, $fechaEsperada);
+        } else {
+            if ($accion === 'tipo') {
+                $user->setTipoUsuario($tipo);
+            } else {
+                $user->setActivo($accion === 'activar');
+            }
+            $aplicado = $repository->update($user, $fechaEsperada);
+        }
+
+        if (!$aplicado) {
+            // Otro cambio pudo colarse entre la lectura y el UPDATE
+            $actual = $repository->findById($id);
+            if ($fechaEsperada !== null && $actual && $actual->getFechaActualizacion() !== $fechaEsperada) {
+                return resultadoConflicto($id, $actual);
+            }
+            return ['id' => $id, 'success' => false, 'error' => 'No se pudo aplicar el cambio'];
+        }
+
+        return ['id' => $id, 'success' => true, 'data' => $repository->findById($id)->toArray()];
+
+    } catch (Throwable $e) {
+        return ['id' => $id, 'success' => false, 'error' => $e->getMessage()];
+    }
+}
+
+try {
+    $json = file_get_contents('php://input');
+    $data = json_decode($json, true);
+
+    $accion = $data['accion'] ?? null;
+    $usuarios = $data['usuarios'] ?? null;
+    $tipo = $data['tipo_usuario'] ?? null;
+
+    $errores = [];
+    if (!in_array($accion, ACCIONES_MASIVAS, true)) {
+        $errores[] = 'Acción masiva no válida';
+    }
+    if ($accion === 'tipo' && !in_array($tipo, ['admin', 'normal'], true)) {
+        $errores[] = 'Tipo de usuario no válido';
+    }
+    if (!is_array($usuarios) || count($usuarios) === 0) {
+        $errores[] = 'No se seleccionó ningún usuario';
+    } elseif (count($usuarios) > MAXIMO_USUARIOS_MASIVOS) {
+        $errores[] = 'Máximo ' . MAXIMO_USUARIOS_MASIVOS . ' usuarios por operación';
+    }
+
+    if (!empty($errores)) {
+        http_response_code(400);
+        echo json_encode(['success' => false, 'errors' => $errores]);
+        exit;
+    }
+
+    $repository = new UserRepository();
+
+    $resultados = array_map(function($item) use ($repository, $accion, $tipo) {
+        return aplicarAccionMasiva($repository, $accion, $tipo, $item);
+    }, $usuarios);
+
+    $exitosos = count(array_filter($resultados, function($r) {
+        return $r['success'];
+    }));
+
+    echo json_encode([
+        'success' => true,
+        'data' => [
+            'resultados' => $resultados,
+            'exitosos' => $exitosos,
+            'fallidos' => count($resultados) - $exitosos
+        ],
+        'stats' => $repository->getStatistics()
+    ]);
+    // success: true aunque algunos fallen: la petición se procesó; el
+    // detalle de cada usuario va en resultados
+
+} catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => $e->getMessage()
+    ]);
+}
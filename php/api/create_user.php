@@ -90,16 +90,15 @@ try {
     );
     
     // PASO 6: Responder con éxito
+    // Se devuelve el registro completo (con fecha_creacion y fecha_actualizacion
+    // asignadas por MySQL) para que el cliente pueda editarlo o deshacer el alta
+    $userCreado = $repository->findById($userId);
+    
     http_response_code(201);
     echo json_encode([
         'success' => true,
         'message' => 'Usuario creado exitosamente',
-        'data' => [
-            'id' => $userId,
-            'nombre' => $user->getNombre(),
-            'email' => $user->getEmail(),
-            'tipo_usuario' => $user->getTipoUsuario()
-        ]
+        'data' => $userCreado->toArray()
     ]);
     
 } catch (Exception $e) {
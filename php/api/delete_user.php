@@ -61,9 +61,14 @@ try {
         throw new Exception('Error al eliminar el usuario');
     }
     
+    // Devolver el registro tal como quedó (activo = 0, fecha_actualizacion nueva)
+    // para que el cliente pueda deshacer la eliminación sin provocar un conflicto
+    $userEliminado = $repository->findById($id);
+    
     echo json_encode([
         'success' => true,
-        'message' => 'Usuario eliminado exitosamente'
+        'message' => 'Usuario eliminado exitosamente',
+        'data' => $userEliminado->toArray()
     ]);
     
 } catch (Exception $e) {
@@ -0,0 +1,104 @@
+<?php
+/**
+ * =====================================================
+ * API: Historial de Notificaciones de un Usuario
+ * Endpoint: GET /php/api/get_notifications.php?usuario_id=5
+ * =====================================================
+ *
+ * Parámetros:
+ * - usuario_id (obligatorio)
+ * - tipo:   email | sms | push (opcional, filtra por canal)
+ * - pagina: 1, 2, ... (opcional, 20 por página)
+ *
+ * Respuesta:
+ * {
+ *     "success": true,
+ *     "data": [{ id, tipo_notificacion, mensaje, enviado, fecha_envio }, ...],
+ *     "conteo": { "email": 3, "sms": 1, "push": 0, "total": 4 },
+ *     "paginacion": { "pagina": 1, "limite": 20, "total": 3, "paginas": 1 }
+ * }
+ *
+ * conteo no depende de ?tipo=: el cliente muestra cuántas hay en cada
+ * canal aunque esté filtrando por uno.
+ */
+
+header('Content-Type: application/json; charset=utf-8');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type');
+
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    http_response_code(405);
+    echo json_encode(['success' => false, 'error' => 'Método no permitido']);
+    exit;
+}
+
+require_once __DIR__ . '/../config/Database.php';
+require_once __DIR__ . '/../models/User.php';
+require_once __DIR__ . '/../repositories/UserRepository.php';
+require_once __DIR__ . '/../repositories/NotificationLogRepository.php';
+
+const NOTIFICACIONES_POR_PAGINA = 20;
+
+try {
+    $usuarioId = (int) ($_GET['usuario_id'] ?? 0);
+    $tipo = $_GET['tipo'] ?? null;
+
+    $errores = [];
+    if ($usuarioId <= 0) {
+        $errores[] = 'usuario_id es obligatorio';
+    }
+    if ($tipo !== null && $tipo !== '' && !in_array($tipo, NotificationLogRepository::TIPOS, true)) {
+        $errores[] = 'Tipo de notificación no válido';
+    }
+    if (!empty($errores)) {
+        http_response_code(400);
+        echo json_encode(['success' => false, 'errors' => $errores]);
+        exit;
+    }
+
+    $usuarios = new UserRepository();
+    if (!$usuarios->findById($usuarioId)) {
+        http_response_code(404);
+        echo json_encode(['success' => false, 'error' => 'Usuario no encontrado']);
+        exit;
+    }
+
+    $repository = new NotificationLogRepository();
+    $conteo = $repository->countByTipo($usuarioId);
+
+    $filtros = [];
+    if ($tipo) {
+        $filtros['tipo'] = $tipo;
+    }
+    $total = $tipo ? $conteo[$tipo] : $conteo['total'];
+    $paginas = max(1, (int) ceil($total / NOTIFICACIONES_POR_PAGINA));
+    $pagina = min(max((int) ($_GET['pagina'] ?? 1), 1), $paginas);
+    $filtros['limite'] = NOTIFICACIONES_POR_PAGINA;
+    $filtros['offset'] = ($pagina - 1) * NOTIFICACIONES_POR_PAGINA;
+    // El total sale del conteo por canal: no hace falta otro COUNT(*)
+
+    echo json_encode([
+        'success' => true,
+        'data' => $repository->findByUsuario($usuarioId, $filtros),
+        'conteo' => $conteo,
+        'paginacion' => [
+            'pagina' => $pagina,
+            'limite' => NOTIFICACIONES_POR_PAGINA,
+            'total' => $total,
+            'paginas' => $paginas
+        ]
+    ]);
+
+} catch (Exception $e) {
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => $e->getMessage()
+    ]);
+}
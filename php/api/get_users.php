@@ -44,10 +44,43 @@ try {
         $filtros['busqueda'] = $_GET['busqueda'];
     }
     
-    // Ordenamiento
+    // Ordenamiento (una o varias columnas: ?orden=tipo_usuario,nombre&direccion=DESC,ASC)
     $filtros['orden'] = $_GET['orden'] ?? 'id';
     $filtros['direccion'] = $_GET['direccion'] ?? 'DESC';
     
+    // Agrupación opcional (?agrupar=tipo_usuario|activo|dominio|mes)
+    // Se ordena primero por el grupo (cada grupo queda junto) y la
+    // respuesta trae cuántos usuarios hay en cada uno con estos filtros.
+    // Un valor desconocido se ignora, igual que una columna de orden inválida
+    $grupos = null;
+    $agrupar = $_GET['agrupar'] ?? null;
+    if ($agrupar !== null && isset(UserRepository::AGRUPACIONES[$agrupar])) {
+        $filtros['agrupar'] = $agrupar;
+        $grupos = $repository->countByGroup($agrupar, $filtros);
+    }
+    
+    // Paginación opcional (?pagina=2&limite=25)
+    // Sin ?limite= se devuelve la lista completa, como antes
+    $paginacion = null;
+    if (isset($_GET['limite'])) {
+        $limite = min(max((int) $_GET['limite'], 1), 100);
+        $total = $repository->count($filtros);
+        $paginas = max(1, (int) ceil($total / $limite));
+        $pagina = min(max((int) ($_GET['pagina'] ?? 1), 1), $paginas);
+        // limite entre 1 y 100; una página fuera de rango se corrige a
+        // la última existente (ej: se eliminó el único usuario de la página 4)
+        
+        $filtros['limite'] = $limite;
+        $filtros['offset'] = ($pagina - 1) * $limite;
+        
+        $paginacion = [
+            'pagina' => $pagina,
+            'limite' => $limite,
+            'total' => $total,
+            'paginas' => $paginas
+        ];
+    }
+    
     // Obtener usuarios
     $usuarios = $repository->findAll($filtros);
     
@@ -62,7 +95,9 @@ try {
     echo json_encode([
         'success' => true,
         'data' => $usuariosArray,
-        'stats' => $stats
+        'stats' => $stats,
+        'paginacion' => $paginacion,
+        'grupos' => $grupos
     ]);
     
 } catch (Exception $e) {
@@ -27,6 +27,21 @@ require_once __DIR__ . '/../models/User.php';
 require_once __DIR__ . '/../validators/UserValidator.php';
 require_once __DIR__ . '/../repositories/UserRepository.php';
 
+/**
+ * Responder 409 Conflict con la versión actual del usuario
+ * para que el cliente muestre ambas versiones y decida.
+ */
+function responderConflicto(User $actual) {
+    http_response_code(409);
+    echo json_encode([
+        'success' => false,
+        'conflicto' => true,
+        'error' => 'El usuario fue modificado por otra persona mientras lo editabas',
+        'data' => $actual->toArray()
+    ]);
+    exit;
+}
+
 try {
     $json = file_get_contents('php://input');
     $data = json_decode($json, true);
@@ -49,6 +64,14 @@ try {
         exit;
     }
     
+    // Control de concurrencia: fecha_actualizacion que el cliente cargó
+    // (si no se envía, se actualiza sin comprobar, como antes)
+    $fechaEsperada = $data['fecha_actualizacion'] ?? null;
+    
+    if ($fechaEsperada !== null && $fechaEsperada !== $userExistente->getFechaActualizacion()) {
+        responderConflicto($userExistente);
+    }
+    
     // Validar nuevos datos
     $validator = new UserValidator();
     
@@ -79,17 +102,30 @@ try {
         $userExistente->setTipoUsuario($data['tipo_usuario']);
     }
     
+    // Reactivar o desactivar (lo usa "Deshacer" de una eliminación)
+    if (isset($data['activo'])) {
+        $userExistente->setActivo($data['activo']);
+    }
+    
     // Guardar cambios
-    $actualizado = $repository->update($userExistente);
+    $actualizado = $repository->update($userExistente, $fechaEsperada);
     
     if (!$actualizado) {
+        // Otro cambio pudo colarse entre la lectura y el UPDATE
+        $actual = $repository->findById($data['id']);
+        if ($fechaEsperada !== null && $actual && $actual->getFechaActualizacion() !== $fechaEsperada) {
+            responderConflicto($actual);
+        }
         throw new Exception('Error al actualizar el usuario');
     }
     
+    // Releer para devolver la nueva fecha_actualizacion
+    $userActualizado = $repository->findById($data['id']);
+    
     echo json_encode([
         'success' => true,
         'message' => 'Usuario actualizado exitosamente',
-        'data' => $userExistente->toArray()
+        'data' => $userActualizado->toArray()
     ]);
     
 } catch (Exception $e) {
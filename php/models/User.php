@@ -173,6 +173,18 @@ class User {
     // ASIGNADA POR: Base de datos (DEFAULT CURRENT_TIMESTAMP)
     // ========================================================================
 
+    protected $fechaActualizacion;
+    // ========================================================================
+    // PROPIEDAD $fechaActualizacion - Timestamp de la última modificación
+    // ========================================================================
+    // TIPO: string | null
+    // ASIGNADA POR: Base de datos (ON UPDATE CURRENT_TIMESTAMP)
+    //
+    // USO: Control de concurrencia optimista
+    // - El formulario de edición envía la fecha que tenía al cargar
+    // - Si en la BD ya es otra, alguien modificó el usuario mientras tanto
+    // ========================================================================
+
     protected $activo;
     // ========================================================================
     // PROPIEDAD $activo - Estado del usuario
@@ -291,6 +303,8 @@ class User {
         // BD la asigna automáticamente al insertar
         // ====================================================================
 
+        $this->fechaActualizacion = $data['fecha_actualizacion'] ?? null;
+
         $this->activo       = $data['activo']       ?? true;
         // ====================================================================
         // DEFAULT: true (usuario activo por defecto)
@@ -373,6 +387,14 @@ class User {
         return $this->fechaCreacion;
     }
 
+    /**
+     * Obtener fecha de la última actualización
+     * @return string|null Fecha en formato MySQL o null
+     */
+    public function getFechaActualizacion() {
+        return $this->fechaActualizacion;
+    }
+
     /**
      * Verificar si el usuario está activo
      *
@@ -628,6 +650,7 @@ class User {
             'email'          => $this->email,
             'tipo_usuario'   => $this->tipoUsuario,
             'fecha_creacion' => $this->fechaCreacion,
+            'fecha_actualizacion' => $this->fechaActualizacion,
             'activo'         => $this->activo
         ];
     }
@@ -0,0 +1,113 @@
+<?php
+// ============================================================================
+// ARCHIVO: NotificationLogRepository.php
+// UBICACIÓN: php/repositories/NotificationLogRepository.php
+// PROPÓSITO: Lectura del historial de notificaciones (logs_notificaciones)
+// ============================================================================
+//
+// DESCRIPCIÓN GENERAL:
+// DatabaseLogger (NotificationManager.php) guarda cada email / SMS / push
+// enviado en la tabla logs_notificaciones. Este repositorio es el lado de
+// LECTURA: el historial de un usuario para el panel de detalle de la tabla.
+//
+// Igual que UserRepository:
+//   ✓ Solo SQL (prepared statements con ?)
+//   ✗ Nada de validar parámetros HTTP (eso es get_notifications.php)
+//
+// Los registros se devuelven como arrays (no hay modelo Notification):
+// [
+//     'id'                => 12,
+//     'tipo_notificacion' => 'email' | 'sms' | 'push',
+//     'mensaje'           => 'Bienvenido...',
+//     'enviado'           => true,
+//     'fecha_envio'       => '2024-01-15 10:30:00'
+// ]
+// ============================================================================
+
+require_once __DIR__ . '/../config/Database.php';
+
+class NotificationLogRepository {
+
+    const TIPOS = ['email', 'sms', 'push'];
+    // Mismos valores que el ENUM tipo_notificacion de sql/schema.sql
+
+    private $db;
+    private $table = 'logs_notificaciones';
+
+    public function __construct() {
+        $this->db = Database::getInstance();
+    }
+
+    /**
+     * Notificaciones de un usuario, de la más reciente a la más antigua
+     *
+     * @param int   $usuarioId
+     * @param array $filtros   ['tipo' => 'sms', 'limite' => 20, 'offset' => 0]
+     * @return array
+     */
+    public function findByUsuario($usuarioId, $filtros = []) {
+        $sql = "SELECT id, tipo_notificacion, mensaje, enviado, fecha_envio
+                FROM {$this->table}
+                WHERE usuario_id = ?";
+        $params = [$usuarioId];
+
+        if (isset($filtros['tipo'])) {
+            $sql .= " AND tipo_notificacion = ?";
+            $params[] = $filtros['tipo'];
+        }
+
+        $sql .= " ORDER BY fecha_envio DESC, id DESC";
+        // ====================================================================
+        // id DESC desempata los envíos del mismo segundo (TIMESTAMP no
+        // guarda milisegundos)
+        // ====================================================================
+
+        if (isset($filtros['limite'])) {
+            $sql .= " LIMIT ? OFFSET ?";
+            $params[] = (int) $filtros['limite'];
+            $params[] = (int) ($filtros['offset'] ?? 0);
+        }
+
+        $stmt = $this->db->query($sql, $params);
+
+        return array_map(function($fila) {
+            return [
+                'id' => (int) $fila['id'],
+                'tipo_notificacion' => $fila['tipo_notificacion'],
+                'mensaje' => $fila['mensaje'],
+                'enviado' => (bool) $fila['enviado'],
+                'fecha_envio' => $fila['fecha_envio']
+            ];
+        }, $stmt->fetchAll());
+        // ====================================================================
+        // PDO devuelve todo como string: enviado "1" → true, id "12" → 12
+        // ====================================================================
+    }
+
+    /**
+     * Cantidad de notificaciones del usuario por canal
+     *
+     * @param int $usuarioId
+     * @return array ['email' => 3, 'sms' => 1, 'push' => 0, 'total' => 4]
+     */
+    public function countByTipo($usuarioId) {
+        $sql = "SELECT tipo_notificacion, COUNT(*) as count
+                FROM {$this->table}
+                WHERE usuario_id = ?
+                GROUP BY tipo_notificacion";
+
+        $stmt = $this->db->query($sql, [$usuarioId]);
+
+        $conteo = array_fill_keys(self::TIPOS, 0);
+        foreach ($stmt->fetchAll() as $fila) {
+            $conteo[$fila['tipo_notificacion']] = (int) $fila['count'];
+        }
+        $conteo['total'] = array_sum($conteo);
+        // ====================================================================
+        // GROUP BY no devuelve filas para los canales sin envíos: se
+        // parte de 0 en todos para que el cliente siempre reciba los tres
+        // ====================================================================
+
+        return $conteo;
+    }
+}
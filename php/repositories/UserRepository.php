@@ -193,6 +193,25 @@ class UserRepository {
     // - Más flexible para herencia futura
     // ========================================================================
 
+    const AGRUPACIONES = [
+        'tipo_usuario' => ['tipo_usuario', 'ASC'],
+        'activo'       => ['activo', 'DESC'],
+        'dominio'      => ["LOWER(SUBSTRING_INDEX(email, '@', -1))", 'ASC'],
+        'mes'          => ["DATE_FORMAT(fecha_creacion, '%Y-%m')", 'DESC']
+    ];
+    // ========================================================================
+    // CONSTANTE AGRUPACIONES - Modos de agrupar la tabla (?agrupar=)
+    // ========================================================================
+    // clave => [expresión SQL del grupo, orden de los grupos]
+    // - dominio: lo que sigue a la @ ('ana@Empresa.com' → 'empresa.com')
+    // - mes:     '2024-01' (los meses más recientes primero)
+    // - activo:  primero los activos (1), luego los inactivos (0)
+    //
+    // Las expresiones se interpolan en el SQL (GROUP BY / ORDER BY no
+    // aceptan ?): solo se usan las de esta lista blanca, nunca texto
+    // que venga de la petición
+    // ========================================================================
+
     // ========================================================================
     // CONSTRUCTOR
     // ========================================================================
@@ -592,7 +611,8 @@ class UserRepository {
      * - Filtro por tipo_usuario
      * - Filtro por estado activo/inactivo
      * - Búsqueda por nombre o email (LIKE)
-     * - Ordenamiento dinámico
+     * - Ordenamiento dinámico (una o varias columnas)
+     * - Agrupación (los usuarios de un mismo grupo quedan juntos)
      * - Paginación (LIMIT + OFFSET)
      *
      * @param  array $filtros Filtros opcionales (ver abajo)
@@ -603,201 +623,52 @@ class UserRepository {
      *       'tipo_usuario' => 'admin',     // Solo admins
      *       'activo'       => true,         // Solo activos
      *       'busqueda'     => 'juan',       // Nombre o email contiene "juan"
-     *       'orden'        => 'nombre',     // Ordenar por nombre
-     *       'direccion'    => 'ASC',        // Ascendente
+     *       'orden'        => 'tipo_usuario,nombre', // Por tipo y luego nombre
+     *       'direccion'    => 'DESC,ASC',   // Una dirección por columna
+     *       'agrupar'      => 'dominio',    // Grupos juntos (ver AGRUPACIONES)
      *       'limite'       => 10,           // 10 por página
      *       'offset'       => 20            // Empezar desde el registro 20
      *   ];
      */
     public function findAll($filtros = []) {
 
-        $sql = "SELECT * FROM {$this->table} WHERE 1=1";
-        // ====================================================================
-        // TRUCO: WHERE 1=1
+        list($where, $params) = $this->buildWhere($filtros);
+        $sql = "SELECT * FROM {$this->table} {$where}";
         // ====================================================================
-        // ¿QUÉ ES WHERE 1=1?
-        // - Condición siempre verdadera
-        // - Selecciona TODOS los registros (sin filtrar)
-        // - Por sí sola, equivale a no tener WHERE
-        //
-        // ¿POR QUÉ USARLO?
-        // PROBLEMA sin WHERE 1=1:
-        //   $sql = "SELECT * FROM usuarios";
-        //   if ($filtro1) { $sql .= " WHERE tipo_usuario = ?"; }
-        //   if ($filtro2) { $sql .= " ??? activo = ?"; }
-        //   // ¿Pongo WHERE o AND? Depende de si filtro1 ya puso WHERE
-        //
-        // SOLUCIÓN con WHERE 1=1:
-        //   $sql = "SELECT * FROM usuarios WHERE 1=1";
-        //   if ($filtro1) { $sql .= " AND tipo_usuario = ?"; }
-        //   if ($filtro2) { $sql .= " AND activo = ?"; }
-        //   // SIEMPRE uso AND porque WHERE 1=1 ya está
-        //
-        // RESULTADO:
-        // Sin filtros: "SELECT * FROM usuarios WHERE 1=1"
-        //   → MySQL lo optimiza → equivale a SELECT * FROM usuarios
-        //
-        // Con filtros: "SELECT * FROM usuarios WHERE 1=1 AND tipo_usuario = ?"
-        //   → Filtra correctamente
+        // Filtros (tipo_usuario, activo, busqueda): los arma buildWhere(),
+        // el mismo que usan count() y countByGroup(). Así los totales de la
+        // paginación y de cada grupo cuentan exactamente estas filas
         // ====================================================================
 
-        $params = [];
-        // Inicializar array vacío para acumular parámetros
-        // Cada filtro que se agrega al SQL también agrega su valor aquí
-
-        // Filtro por tipo de usuario
-        if (isset($filtros['tipo_usuario'])) {
-            // ================================================================
-            // isset() - Verificar si clave existe en array
-            // ================================================================
-            // SINTAXIS:
-            // isset($array['clave'])
-            //
-            // ¿QUÉ HACE?
-            // - Devuelve true si la clave existe Y no es null
-            // - Devuelve false si la clave no existe o es null
-            //
-            // DIFERENCIA CON empty() Y array_key_exists():
-            // isset($a['k'])             → false si no existe O si es null
-            // empty($a['k'])             → true si no existe, null, "", 0, false
-            // array_key_exists('k', $a)  → true si existe (aunque sea null)
-            //
-            // ¿POR QUÉ isset() AQUÍ?
-            // - Verificar que el filtro fue proporcionado
-            // - Si $filtros['tipo_usuario'] no existe → no aplicar filtro
-            // - Permite llamar findAll() sin ese filtro sin error
-            //
-            // EJEMPLO:
-            // $filtros = ['activo' => true]  ← Sin 'tipo_usuario'
-            // isset($filtros['tipo_usuario']) → false → no se aplica filtro
-            //
-            // $filtros = ['tipo_usuario' => 'admin']
-            // isset($filtros['tipo_usuario']) → true → se aplica filtro
-            // ================================================================
-
-            $sql .= " AND tipo_usuario = ?";
-            // ================================================================
-            // .= (operador concatenación-asignación)
-            // ================================================================
-            // SINTAXIS: $var .= $texto  equivale a  $var = $var . $texto
-            //
-            // CONSTRUYENDO SQL DINÁMICO:
-            // Inicio:    "SELECT * FROM usuarios WHERE 1=1"
-            // + filtro:  "SELECT * FROM usuarios WHERE 1=1 AND tipo_usuario = ?"
-            // ================================================================
-
-            $params[] = $filtros['tipo_usuario'];
-            // ================================================================
-            // Agregar valor del filtro al array de parámetros
-            // El ORDER importa: cada ? se reemplaza con el param en la misma posición
-            //
-            // SQL:    "... WHERE 1=1 AND tipo_usuario = ?"
-            //                                           ↑ posición 1
-            // Params: ['admin']
-            //           ↑ posición 1 → reemplaza el primer ?
-            // ================================================================
-        }
-
-        // Filtro por estado activo/inactivo
-        if (isset($filtros['activo'])) {
-            $sql .= " AND activo = ?";
-            $params[] = $filtros['activo'] ? 1 : 0;
-            // ================================================================
-            // Convertir bool → int igual que en create()
-            // true → 1, false → 0 (MySQL TINYINT)
-            // ================================================================
-        }
-
-        // Búsqueda por nombre o email
-        if (isset($filtros['busqueda'])) {
-            $sql .= " AND (nombre LIKE ? OR email LIKE ?)";
-            // ================================================================
-            // OPERADOR LIKE - Búsqueda parcial de texto
-            // ================================================================
-            // SINTAXIS SQL:
-            // columna LIKE '%texto%'
-            //
-            // WILDCARDS (comodines) en LIKE:
-            // % → Cualquier cantidad de caracteres (0 o más)
-            // _ → Exactamente un carácter
-            //
-            // EJEMPLOS:
-            // LIKE '%juan%'  → Contiene "juan" en cualquier posición
-            //   'juan pérez'  ✓
-            //   'Dr. juan'    ✓
-            //   'juanita'     ✓
-            //   'pedro'       ✗
-            //
-            // LIKE 'juan%'   → Empieza con "juan"
-            //   'juanita'     ✓
-            //   'Dr. juan'    ✗
-            //
-            // LIKE '%juan'   → Termina con "juan"
-            //   'Dr. juan'    ✓
-            //   'juanita'     ✗
-            //
-            // OR en SQL:
-            // nombre LIKE ? OR email LIKE ?
-            // - Busca en nombre O en email
-            // - Si coincide en cualquiera → devuelve el registro
-            //
-            // NOTA: Dos ? → Dos parámetros (mismo valor para ambos)
-            // ================================================================
-
-            $busqueda = "%{$filtros['busqueda']}%";
-            // ================================================================
-            // CONSTRUIR EL PATRÓN DE BÚSQUEDA CON WILDCARDS
-            // ================================================================
-            // {$filtros['busqueda']} → Interpolación en string con {}
-            //
-            // Si $filtros['busqueda'] = 'juan':
-            // "%{juan}%" → "%juan%"
-            //
-            // RESULTADO:
-            // LIKE '%juan%' → Busca "juan" en cualquier posición
-            // ================================================================
-
-            $params[] = $busqueda;  // Para el primer ? (nombre LIKE ?)
-            $params[] = $busqueda;  // Para el segundo ? (email LIKE ?)
-            // ================================================================
-            // Se agrega DOS VECES porque hay dos ? en la consulta
-            // SQL: "AND (nombre LIKE ? OR email LIKE ?)"
-            //                       ↑              ↑
-            // Params: [..., '%juan%', '%juan%']
-            //                  ↑           ↑
-            //             primer ?    segundo ?
-            // ================================================================
-        }
-
-        // Ordenamiento dinámico
-        $orden = $filtros['orden'] ?? 'id';
-        $direccion = $filtros['direccion'] ?? 'ASC';
-        $sql .= " ORDER BY {$orden} {$direccion}";
+        // Ordenamiento dinámico (validado contra lista blanca)
+        $sql .= " ORDER BY " . $this->buildGroupOrder($filtros) . $this->buildOrderBy(
+            $filtros['orden'] ?? 'id',
+            $filtros['direccion'] ?? 'ASC'
+        );
         // ====================================================================
         // ORDER BY DINÁMICO
         // ====================================================================
-        // $orden: Columna por la que ordenar (id, nombre, email, fecha_creacion)
-        // $direccion: Dirección (ASC = ascendente, DESC = descendente)
+        // $orden: Columna(s) por la que ordenar, separadas por coma
+        // $direccion: Dirección de cada columna (ASC / DESC)
         //
         // VALORES POR DEFECTO (??):
         // $orden = 'id'   → Sin filtro, ordenar por ID
         // $direccion = 'ASC' → Sin filtro, orden ascendente
         //
-        // IMPORTANTE - RIESGO DE SEGURIDAD:
-        // $orden y $direccion se interpolán DIRECTAMENTE en el SQL
-        // NO se usan como placeholders (?)
-        // Razón: ORDER BY no acepta placeholders en PDO
-        //
-        // MITIGACIÓN:
-        // En producción, validar contra lista blanca:
-        // $columnasPermitidas = ['id', 'nombre', 'email', 'fecha_creacion'];
-        // if (!in_array($orden, $columnasPermitidas)) { $orden = 'id'; }
-        // $direccionesPermitidas = ['ASC', 'DESC'];
-        // if (!in_array($direccion, $direccionesPermitidas)) { $direccion = 'ASC'; }
+        // SEGURIDAD:
+        // ORDER BY no acepta placeholders (?) en PDO, así que las columnas
+        // se interpolan en el SQL. Por eso buildOrderBy() solo deja pasar
+        // columnas de una LISTA BLANCA y direcciones ASC / DESC.
         //
         // EJEMPLOS:
-        // Sin filtros: "ORDER BY id ASC"
-        // Con filtros: "ORDER BY nombre DESC"
+        // orden=nombre              → "ORDER BY nombre ASC, id ASC"
+        // orden=tipo_usuario,nombre
+        // direccion=DESC,ASC        → "ORDER BY tipo_usuario DESC, nombre ASC, id ASC"
+        // orden=nombre;DROP...      → "ORDER BY id ASC" (columna ignorada)
+        //
+        // CON AGRUPACIÓN ($filtros['agrupar'] = 'dominio'):
+        // "ORDER BY LOWER(SUBSTRING_INDEX(email, '@', -1)) ASC, nombre ASC, id ASC"
+        // → los usuarios de un mismo grupo quedan juntos en cada página
         // ====================================================================
 
         // Paginación: LIMIT (cantidad) y OFFSET (desde dónde)
@@ -820,8 +691,9 @@ class UserRepository {
             // - Forzar entero por seguridad
             // - Previene valores como "10; DROP TABLE" (aunque PDO ya lo evita)
             //
-            // PAGINACIÓN EN FRONTEND:
-            // En app.js se calcula: offset = (pagina - 1) * limite
+            // PAGINACIÓN EN EL ENDPOINT:
+            // get_users.php recibe ?pagina=3&limite=25 y calcula
+            // offset = (pagina - 1) * limite
             // ================================================================
 
             if (isset($filtros['offset'])) {
@@ -903,6 +775,73 @@ class UserRepository {
         // ====================================================================
     }
 
+    // ========================================================================
+    // MÉTODO PRIVADO: buildGroupOrder
+    // ========================================================================
+
+    /**
+     * Prefijo del ORDER BY para agrupar ('' si no se agrupa)
+     *
+     * @param  array  $filtros   Usa $filtros['agrupar']
+     * @return string            Ej: "tipo_usuario ASC, "
+     */
+    private function buildGroupOrder($filtros) {
+        $agrupar = $filtros['agrupar'] ?? null;
+        if ($agrupar === null || !isset(self::AGRUPACIONES[$agrupar])) {
+            return '';
+        }
+
+        list($expresion, $direccion) = self::AGRUPACIONES[$agrupar];
+        return "{$expresion} {$direccion}, ";
+        // ====================================================================
+        // Prefijo del ORDER BY: primero el grupo, después el orden elegido
+        // en la tabla (buildOrderBy)
+        // ====================================================================
+    }
+
+    // ========================================================================
+    // MÉTODO PRIVADO: buildOrderBy
+    // ========================================================================
+
+    /**
+     * Construir la cláusula ORDER BY a partir de columnas y direcciones
+     *
+     * @param  string|array $orden      'nombre' | 'tipo_usuario,nombre' | ['nombre']
+     * @param  string|array $direccion  'ASC' | 'DESC,ASC' | ['DESC', 'ASC']
+     * @return string                   Ej: "tipo_usuario DESC, nombre ASC, id ASC"
+     */
+    private function buildOrderBy($orden, $direccion) {
+        $columnasPermitidas = ['id', 'nombre', 'email', 'tipo_usuario', 'activo', 'fecha_creacion'];
+
+        $columnas = is_array($orden) ? $orden : explode(',', (string) $orden);
+        $direcciones = is_array($direccion) ? $direccion : explode(',', (string) $direccion);
+
+        $partes = [];
+        foreach ($columnas as $i => $columna) {
+            $columna = trim($columna);
+            if (!in_array($columna, $columnasPermitidas, true) || isset($partes[$columna])) {
+                continue;
+            }
+            $dir = strtoupper(trim($direcciones[$i] ?? $direcciones[0]));
+            $partes[$columna] = $columna . ($dir === 'DESC' ? ' DESC' : ' ASC');
+        }
+        // ====================================================================
+        // - in_array(..., true): comparación estricta contra la lista blanca
+        // - Si hay menos direcciones que columnas, se repite la primera
+        // - Columnas repetidas se ignoran (gana la primera)
+        // ====================================================================
+
+        if (!isset($partes['id'])) {
+            $partes['id'] = 'id ASC';
+        }
+        // ====================================================================
+        // Desempate por id: con valores iguales (ej: mismo tipo) el orden
+        // queda estable entre peticiones (importante para paginar)
+        // ====================================================================
+
+        return implode(', ', $partes);
+    }
+
     // ========================================================================
     // MÉTODO: update
     // OPERACIÓN SQL: UPDATE SET ... WHERE id = ?
@@ -911,15 +850,18 @@ class UserRepository {
     /**
      * Actualizar un usuario existente
      *
-     * @param  User $user  Usuario con datos actualizados (debe tener ID)
+     * @param  User        $user           Usuario con datos actualizados (debe tener ID)
+     * @param  string|null $fechaEsperada  fecha_actualizacion que el cliente leyó;
+     *                                     si se indica, solo se actualiza si no cambió
      * @return bool        true si se actualizó al menos 1 fila, false si no
      */
-    public function update(User $user) {
+    public function update(User $user, $fechaEsperada = null) {
         $sql = "UPDATE {$this->table}
                 SET nombre       = ?,
                     email        = ?,
                     tipo_usuario = ?,
-                    activo       = ?
+                    activo       = ?,
+                    fecha_actualizacion = CURRENT_TIMESTAMP(6)
                 WHERE id = ?";
         // ====================================================================
         // UPDATE SQL
@@ -959,6 +901,24 @@ class UserRepository {
             // ================================================================
         ];
 
+        if ($fechaEsperada !== null) {
+            $sql .= " AND fecha_actualizacion = ?";
+            $params[] = $fechaEsperada;
+        }
+        // ====================================================================
+        // CONTROL DE CONCURRENCIA OPTIMISTA
+        // ====================================================================
+        // WHERE id = ? AND fecha_actualizacion = ?
+        // - Si otro administrador guardó antes, la fecha ya no coincide
+        // - El UPDATE no afecta ninguna fila → devuelve false
+        // - Comprobación y escritura en UNA sola sentencia (sin carreras)
+        // - fecha_actualizacion se asigna a mano: ON UPDATE no la cambia si
+        //   los valores son los mismos, y entonces un guardado "sin cambios"
+        //   no invalidaría la versión que tienen los demás (ni rowCount()
+        //   contaría la fila). TIMESTAMP(6): dos guardados en el mismo
+        //   segundo tienen versiones distintas
+        // ====================================================================
+
         $stmt = $this->db->query($sql, $params);
         return $stmt->rowCount() > 0;
         // ====================================================================
@@ -1001,11 +961,13 @@ class UserRepository {
      * - Integridad: no rompe relaciones con otras tablas
      * - Seguridad: evita pérdida accidental de datos
      *
-     * @param  int  $id  ID del usuario a desactivar
-     * @return bool      true si se desactivó, false si no existe
+     * @param  int         $id             ID del usuario a desactivar
+     * @param  string|null $fechaEsperada  fecha_actualizacion que el cliente leyó;
+     *                                     si se indica, solo se desactiva si no cambió
+     * @return bool        true si se desactivó, false si no existe (o cambió)
      */
-    public function delete($id) {
-        $sql = "UPDATE {$this->table} SET activo = 0 WHERE id = ?";
+    public function delete($id, $fechaEsperada = null) {
+        $sql = "UPDATE {$this->table} SET activo = 0, fecha_actualizacion = CURRENT_TIMESTAMP(6) WHERE id = ?";
         // ====================================================================
         // SOFT DELETE: UPDATE en lugar de DELETE
         // ====================================================================
@@ -1031,7 +993,16 @@ class UserRepository {
         // - id = ? sí es placeholder (viene del usuario)
         // ====================================================================
 
-        $stmt = $this->db->query($sql, [$id]);
+        $params = [$id];
+        if ($fechaEsperada !== null) {
+            $sql .= " AND fecha_actualizacion = ?";
+            $params[] = $fechaEsperada;
+        }
+        // ====================================================================
+        // Mismo control de concurrencia optimista que update()
+        // ====================================================================
+
+        $stmt = $this->db->query($sql, $params);
         return $stmt->rowCount() > 0;
     }
 
@@ -1212,26 +1183,12 @@ class UserRepository {
      * - Estadísticas simples
      * - Dashboard (cuántos usuarios activos, etc.)
      *
-     * @param  array $filtros Filtros opcionales (tipo_usuario, activo)
+     * @param  array $filtros Filtros opcionales (tipo_usuario, activo, busqueda)
      * @return int            Cantidad de usuarios
      */
     public function count($filtros = []) {
-        $sql = "SELECT COUNT(*) as count FROM {$this->table} WHERE 1=1";
-        $params = [];
-
-        if (isset($filtros['tipo_usuario'])) {
-            $sql .= " AND tipo_usuario = ?";
-            $params[] = $filtros['tipo_usuario'];
-        }
-
-        if (isset($filtros['activo'])) {
-            $sql .= " AND activo = ?";
-            $params[] = $filtros['activo'] ? 1 : 0;
-        }
-        // ====================================================================
-        // Mismo patrón de filtros que findAll()
-        // WHERE 1=1 + AND condicion por cada filtro presente
-        // ====================================================================
+        list($where, $params) = $this->buildWhere($filtros);
+        $sql = "SELECT COUNT(*) as count FROM {$this->table} {$where}";
 
         $stmt = $this->db->query($sql, $params);
         $result = $stmt->fetch();
@@ -1249,6 +1206,211 @@ class UserRepository {
         // ====================================================================
     }
 
+    // ========================================================================
+    // MÉTODO: countByGroup
+    // OPERACIÓN SQL: SELECT COUNT(*) ... GROUP BY con filtros
+    // ========================================================================
+
+    /**
+     * Cantidad de usuarios de cada grupo, con los mismos filtros que findAll()
+     *
+     * @param  string $agrupar Clave de AGRUPACIONES (ej: 'dominio')
+     * @param  array  $filtros Filtros opcionales (tipo_usuario, activo, busqueda)
+     * @return array           [['clave' => 'empresa.com', 'total' => 12], ...]
+     */
+    public function countByGroup($agrupar, $filtros = []) {
+        list($expresion, $direccion) = self::AGRUPACIONES[$agrupar];
+        list($where, $params) = $this->buildWhere($filtros);
+
+        $sql = "SELECT {$expresion} AS clave, COUNT(*) AS total
+                FROM {$this->table} {$where}
+                GROUP BY clave
+                ORDER BY clave {$direccion}";
+
+        $stmt = $this->db->query($sql, $params);
+
+        return array_map(function($fila) {
+            return ['clave' => (string) $fila['clave'], 'total' => (int) $fila['total']];
+        }, $stmt->fetchAll());
+        // ====================================================================
+        // Los totales cubren TODAS las páginas: el encabezado de un grupo
+        // dice cuántos usuarios tiene aunque la página muestre solo algunos
+        // ====================================================================
+    }
+
+    // ========================================================================
+    // MÉTODO PRIVADO: buildWhere
+    // ========================================================================
+
+    /**
+     * WHERE de los filtros de la lista → [sql, params]
+     *
+     * Lo comparten findAll(), count() y countByGroup() (incluida la
+     * búsqueda: los totales deben contar exactamente las filas que
+     * findAll() puede devolver). WHERE 1=1 + AND condicion por filtro.
+     */
+    private function buildWhere($filtros) {
+        $sql = "WHERE 1=1";
+        // ====================================================================
+        // TRUCO: WHERE 1=1
+        // ====================================================================
+        // ¿QUÉ ES WHERE 1=1?
+        // - Condición siempre verdadera
+        // - Selecciona TODOS los registros (sin filtrar)
+        // - Por sí sola, equivale a no tener WHERE
+        //
+        // ¿POR QUÉ USARLO?
+        // PROBLEMA sin WHERE 1=1:
+        //   $sql = "SELECT * FROM usuarios";
+        //   if ($filtro1) { $sql .= " WHERE tipo_usuario = ?"; }
+        //   if ($filtro2) { $sql .= " ??? activo = ?"; }
+        //   // ¿Pongo WHERE o AND? Depende de si filtro1 ya puso WHERE
+        //
+        // SOLUCIÓN con WHERE 1=1:
+        //   $sql = "SELECT * FROM usuarios WHERE 1=1";
+        //   if ($filtro1) { $sql .= " AND tipo_usuario = ?"; }
+        //   if ($filtro2) { $sql .= " AND activo = ?"; }
+        //   // SIEMPRE uso AND porque WHERE 1=1 ya está
+        //
+        // RESULTADO:
+        // Sin filtros: "SELECT * FROM usuarios WHERE 1=1"
+        //   → MySQL lo optimiza → equivale a SELECT * FROM usuarios
+        //
+        // Con filtros: "SELECT * FROM usuarios WHERE 1=1 AND tipo_usuario = ?"
+        //   → Filtra correctamente
+        // ====================================================================
+
+        $params = [];
+        // Inicializar array vacío para acumular parámetros
+        // Cada filtro que se agrega al SQL también agrega su valor aquí
+
+        // Filtro por tipo de usuario
+        if (isset($filtros['tipo_usuario'])) {
+            // ================================================================
+            // isset() - Verificar si clave existe en array
+            // ================================================================
+            // SINTAXIS:
+            // isset($array['clave'])
+            //
+            // ¿QUÉ HACE?
+            // - Devuelve true si la clave existe Y no es null
+            // - Devuelve false si la clave no existe o es null
+            //
+            // DIFERENCIA CON empty() Y array_key_exists():
+            // isset($a['k'])             → false si no existe O si es null
+            // empty($a['k'])             → true si no existe, null, "", 0, false
+            // array_key_exists('k', $a)  → true si existe (aunque sea null)
+            //
+            // ¿POR QUÉ isset() AQUÍ?
+            // - Verificar que el filtro fue proporcionado
+            // - Si $filtros['tipo_usuario'] no existe → no aplicar filtro
+            // - Permite llamar findAll() sin ese filtro sin error
+            //
+            // EJEMPLO:
+            // $filtros = ['activo' => true]  ← Sin 'tipo_usuario'
+            // isset($filtros['tipo_usuario']) → false → no se aplica filtro
+            //
+            // $filtros = ['tipo_usuario' => 'admin']
+            // isset($filtros['tipo_usuario']) → true → se aplica filtro
+            // ================================================================
+
+            $sql .= " AND tipo_usuario = ?";
+            // ================================================================
+            // .= (operador concatenación-asignación)
+            // ================================================================
+            // SINTAXIS: $var .= $texto  equivale a  $var = $var . $texto
+            //
+            // CONSTRUYENDO SQL DINÁMICO:
+            // Inicio:    "SELECT * FROM usuarios WHERE 1=1"
+            // + filtro:  "SELECT * FROM usuarios WHERE 1=1 AND tipo_usuario = ?"
+            // ================================================================
+
+            $params[] = $filtros['tipo_usuario'];
+            // ================================================================
+            // Agregar valor del filtro al array de parámetros
+            // El ORDER importa: cada ? se reemplaza con el param en la misma posición
+            //
+            // SQL:    "... WHERE 1=1 AND tipo_usuario = ?"
+            //                                           ↑ posición 1
+            // Params: ['admin']
+            //           ↑ posición 1 → reemplaza el primer ?
+            // ================================================================
+        }
+
+        // Filtro por estado activo/inactivo
+        if (isset($filtros['activo'])) {
+            $sql .= " AND activo = ?";
+            $params[] = $filtros['activo'] ? 1 : 0;
+            // ================================================================
+            // Convertir bool → int igual que en create()
+            // true → 1, false → 0 (MySQL TINYINT)
+            // ================================================================
+        }
+
+        // Búsqueda por nombre o email
+        if (isset($filtros['busqueda'])) {
+            $sql .= " AND (nombre LIKE ? OR email LIKE ?)";
+            // ================================================================
+            // OPERADOR LIKE - Búsqueda parcial de texto
+            // ================================================================
+            // SINTAXIS SQL:
+            // columna LIKE '%texto%'
+            //
+            // WILDCARDS (comodines) en LIKE:
+            // % → Cualquier cantidad de caracteres (0 o más)
+            // _ → Exactamente un carácter
+            //
+            // EJEMPLOS:
+            // LIKE '%juan%'  → Contiene "juan" en cualquier posición
+            //   'juan pérez'  ✓
+            //   'Dr. juan'    ✓
+            //   'juanita'     ✓
+            //   'pedro'       ✗
+            //
+            // LIKE 'juan%'   → Empieza con "juan"
+            //   'juanita'     ✓
+            //   'Dr. juan'    ✗
+            //
+            // LIKE '%juan'   → Termina con "juan"
+            //   'Dr. juan'    ✓
+            //   'juanita'     ✗
+            //
+            // OR en SQL:
+            // nombre LIKE ? OR email LIKE ?
+            // - Busca en nombre O en email
+            // - Si coincide en cualquiera → devuelve el registro
+            //
+            // NOTA: Dos ? → Dos parámetros (mismo valor para ambos)
+            // ================================================================
+
+            $busqueda = "%{$filtros['busqueda']}%";
+            // ================================================================
+            // CONSTRUIR EL PATRÓN DE BÚSQUEDA CON WILDCARDS
+            // ================================================================
+            // {$filtros['busqueda']} → Interpolación en string con {}
+            //
+            // Si $filtros['busqueda'] = 'juan':
+            // "%{juan}%" → "%juan%"
+            //
+            // RESULTADO:
+            // LIKE '%juan%' → Busca "juan" en cualquier posición
+            // ================================================================
+
+            $params[] = $busqueda;  // Para el primer ? (nombre LIKE ?)
+            $params[] = $busqueda;  // Para el segundo ? (email LIKE ?)
+            // ================================================================
+            // Se agrega DOS VECES porque hay dos ? en la consulta
+            // SQL: "AND (nombre LIKE ? OR email LIKE ?)"
+            //                       ↑              ↑
+            // Params: [..., '%juan%', '%juan%']
+            //                  ↑           ↑
+            //             primer ?    segundo ?
+            // ================================================================
+        }
+
+        return [$sql, $params];
+    }
+
     // ========================================================================
     // MÉTODO: getStatistics
     // OPERACIÓN SQL: SELECT con SUM(CASE WHEN...) 
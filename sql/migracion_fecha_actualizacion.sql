@@ -0,0 +1,22 @@
+-- =====================================================
+-- MIGRACIÓN: fecha_actualizacion con microsegundos
+-- Solo para bases creadas con una versión anterior de schema.sql
+-- =====================================================
+-- fecha_actualizacion es la versión del registro que comparan
+-- update_user.php y bulk_users.php (AND fecha_actualizacion = ?).
+-- Con TIMESTAMP de segundos enteros, dos guardados en el mismo segundo
+-- tienen la misma versión y el segundo no se detecta como conflicto (409).
+--
+-- Uso:
+--   mysql -u root -p < sql/migracion_fecha_actualizacion.sql
+--
+-- Se puede ejecutar más de una vez: MODIFY deja la columna igual si ya
+-- es TIMESTAMP(6). Los valores existentes conservan su fecha (con .000000).
+-- =====================================================
+
+USE sistema_usuarios;
+
+ALTER TABLE usuarios
+    MODIFY fecha_actualizacion TIMESTAMP(6)
+        DEFAULT CURRENT_TIMESTAMP(6)
+        ON UPDATE CURRENT_TIMESTAMP(6);
@@ -18,7 +18,9 @@ CREATE TABLE IF NOT EXISTS usuarios (
     email VARCHAR(150) NOT NULL UNIQUE,
     tipo_usuario ENUM('admin', 'normal') DEFAULT 'normal',
     fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    fecha_actualizacion TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6),
+    -- Microsegundos: es la versión del registro (concurrencia optimista);
+    -- con segundos enteros dos guardados seguidos compartirían versión
     activo BOOLEAN DEFAULT TRUE,
     
     -- Índices para mejorar rendimiento